@@ -0,0 +1,54 @@
+// Permission catalog for the admin panel. `admin` accounts are super-admins and
+// hold every permission; `staff` accounts get the permissions of their StaffRole.
+const PERMISSIONS = {
+  'dashboard.view': 'View platform dashboard stats',
+  'users.read': 'View users, their sessions and login history',
+  'users.block': 'Block and unblock users',
+  'users.security': 'Sign users out, clear lockouts and manage their 2FA',
+  'users.impersonate': 'View the site as a buyer or seller (every write is audited)',
+  'sellers.read': 'View seller applications',
+  'sellers.approve': 'Approve or reject sellers',
+  'payouts.read': 'View seller bank details used for payouts',
+  'catalog.moderate': 'Review, approve and feature products',
+  'categories.write': 'Create, edit and delete categories',
+  'orders.manage': 'View and manage all orders',
+  'coupons.read': 'View coupons',
+  'coupons.write': 'Create, edit and delete coupons',
+  'deals.manage': 'Schedule, edit and cancel flash deals',
+  'reviews.moderate': 'Delete any product review',
+  'questions.moderate': 'Hide, restore and delete product questions and answers',
+  'staff.manage': 'Manage staff roles and assign them to users (super-admins only)',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Never granted to a staff role: a staff member who could manage roles could grant
+// themselves everything
+const ADMIN_ONLY_PERMISSIONS = ['staff.manage'];
+const STAFF_PERMISSIONS = ALL_PERMISSIONS.filter(permission => !ADMIN_ONLY_PERMISSIONS.includes(permission));
+
+// Starting points created by the seed script; super-admins can edit or delete them
+const DEFAULT_STAFF_ROLES = [
+  {
+    name: 'Support Agent',
+    description: 'Helps customers with their accounts and orders',
+    permissions: ['dashboard.view', 'users.read', 'users.security', 'orders.manage'],
+  },
+  {
+    name: 'Catalog Moderator',
+    description: 'Reviews sellers, products, categories, reviews and Q&A',
+    permissions: ['dashboard.view', 'sellers.read', 'sellers.approve', 'catalog.moderate', 'categories.write', 'reviews.moderate', 'questions.moderate'],
+  },
+  {
+    name: 'Marketing',
+    description: 'Runs coupons, flash deals and promotions',
+    permissions: ['dashboard.view', 'coupons.read', 'coupons.write', 'deals.manage'],
+  },
+  {
+    name: 'Finance',
+    description: 'Checks seller payout details',
+    permissions: ['dashboard.view', 'sellers.read', 'payouts.read'],
+  },
+];
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, ADMIN_ONLY_PERMISSIONS, STAFF_PERMISSIONS, DEFAULT_STAFF_ROLES };
@@ -0,0 +1,30 @@
+// Reason codes moderators pick from when rejecting a product listing or a seller application.
+// The seller sees the label (and the moderator's note) in the email and on their dashboard.
+const PRODUCT_REJECTION_REASONS = {
+  prohibited_item: 'Item is prohibited or restricted on Dealify',
+  counterfeit: 'Suspected counterfeit or unauthorised brand use',
+  poor_images: 'Images are missing, low quality or do not show the product',
+  misleading_content: 'Title or description is misleading or inaccurate',
+  wrong_category: 'Listed in the wrong category',
+  pricing_issue: 'Price or MRP looks wrong or inflated',
+  incomplete_details: 'Key details or specifications are missing',
+  duplicate_listing: 'Duplicate of an existing listing',
+  other: 'Other (see note)',
+};
+
+const SELLER_REJECTION_REASONS = {
+  invalid_gstin: 'GSTIN is invalid or does not match the business',
+  invalid_pan: 'PAN is invalid or does not match the account holder',
+  incomplete_address: 'Business address is incomplete',
+  bank_details_mismatch: 'Bank details are missing or do not match',
+  unverifiable_business: 'The business could not be verified',
+  prohibited_business: 'The business sells items not allowed on Dealify',
+  other: 'Other (see note)',
+};
+
+const REJECTION_REASONS = {
+  product: PRODUCT_REJECTION_REASONS,
+  seller: SELLER_REJECTION_REASONS,
+};
+
+module.exports = { PRODUCT_REJECTION_REASONS, SELLER_REJECTION_REASONS, REJECTION_REASONS };
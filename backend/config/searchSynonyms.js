@@ -0,0 +1,27 @@
+// Groups of interchangeable search terms: a search for any term also finds the others.
+// More groups can be added per deployment with SEARCH_SYNONYMS, e.g. "sofa|couch;tv|television".
+const DEFAULT_SYNONYM_GROUPS = [
+  ['mobile', 'phone', 'smartphone', 'cellphone'],
+  ['tee', 't-shirt', 'tshirt'],
+  ['laptop', 'notebook'],
+  ['tv', 'television'],
+  ['earphones', 'earbuds', 'headphones'],
+  ['sneakers', 'trainers', 'sports shoes'],
+  ['fridge', 'refrigerator'],
+  ['sofa', 'couch'],
+  ['specs', 'spectacles', 'eyeglasses'],
+  ['charger', 'adapter'],
+];
+
+function parseSynonymGroups(value = '') {
+  return value
+    .split(';')
+    .map(group => group.split('|').map(term => term.trim().toLowerCase()).filter(Boolean))
+    .filter(group => group.length > 1);
+}
+
+function getSynonymGroups() {
+  return [...DEFAULT_SYNONYM_GROUPS, ...parseSynonymGroups(process.env.SEARCH_SYNONYMS)];
+}
+
+module.exports = { DEFAULT_SYNONYM_GROUPS, getSynonymGroups };
@@ -2,11 +2,35 @@ const User = require('../models/User');
 const Seller = require('../models/Seller');
 const RefreshToken = require('../models/RefreshToken');
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { generateAccessToken } = require('../middleware/auth');
 const { validationResult } = require('express-validator');
-const { sendPasswordResetEmail } = require('../services/emailService');
+const {
+  sendPasswordResetEmail,
+  sendSecurityAlert,
+  sendEmailVerification,
+  sendWelcomeEmail,
+} = require('../services/emailService');
+const logger = require('../utils/logger');
+const { describeUserAgent } = require('../utils/helpers');
+const { onCredentialsChanged } = require('../services/credentialService');
+const { requestOtp, verifyOtp } = require('../services/otpService');
+const { createLoginChallenge, isTwoFactorRequired } = require('../services/twoFactorService');
+const { getUserPermissions } = require('../middleware/permissions');
+const { recordModeration } = require('../services/moderationService');
+const {
+  lockoutMessage,
+  recordFailedLogin,
+  registerFailedAttempt,
+  unknownEmailLockUntil,
+  registerUnknownEmailAttempt,
+  recordSuccessfulLogin,
+} = require('../services/loginSecurityService');
+const { mergeDeviceHistory } = require('../services/browsingHistoryService');
 
 const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30);
+// How long a just-rotated refresh token is still accepted (two tabs refreshing at once)
+const REFRESH_ROTATION_GRACE_MS = 30 * 1000;
 
 function getRefreshCookieOptions() {
   const isProduction = process.env.NODE_ENV === 'production';
@@ -44,7 +68,16 @@ function hashToken(token) {
   return crypto.createHash('sha256').update(token).digest('hex');
 }
 
-async function issueRefreshToken(req, userId) {
+function createTokenFamily() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function getClientIp(req) {
+  return req.ip || req.connection?.remoteAddress || '';
+}
+
+// A new login starts a new family; rotations pass the existing family along
+async function issueRefreshToken(req, userId, family = createTokenFamily()) {
   const rawToken = createRawToken();
   const tokenHash = hashToken(rawToken);
   const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
@@ -52,18 +85,151 @@ async function issueRefreshToken(req, userId) {
   await RefreshToken.create({
     user: userId,
     tokenHash,
+    family,
     expiresAt,
     userAgent: req.headers['user-agent'] || '',
-    ipAddress: req.ip || req.connection?.remoteAddress || '',
+    ipAddress: getClientIp(req),
   });
 
   return rawToken;
 }
 
+// A rotated token coming back means someone else holds a copy of it.
+// Kill the whole family so neither the thief nor the victim can keep rotating.
+async function handleRefreshTokenReuse(req, stored) {
+  const revokedCount = await RefreshToken.revokeFamily(stored, 'reuse_detected');
+
+  logger.warn('Security event: refresh token reuse detected', {
+    userId: String(stored.user._id),
+    family: stored.family,
+    revokedCount,
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'] || '',
+  });
+
+  try {
+    await sendSecurityAlert(stored.user, {
+      heading: 'Suspicious sign-in activity',
+      message: 'An old sign-in token for your account was used again, which can mean it was copied from one of your devices. We have signed out the affected session on all devices to keep your account safe.',
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+    });
+  } catch (emailError) {
+    logger.error(`Security alert email failed: ${emailError.message}`);
+  }
+}
+
+// Two tabs refreshing together send the same token and only one can rotate it. The other
+// is let through without rotating again: the winner's response already set the new cookie.
+async function isConcurrentRotation(stored) {
+  if (!stored || !stored.user || stored.user.isBlocked || !stored.family) return false;
+  if (stored.revokedReason !== 'rotated' || !stored.revokedAt) return false;
+  if (Date.now() - stored.revokedAt.getTime() > REFRESH_ROTATION_GRACE_MS) return false;
+  // The session must not have ended since (logout, revocation, reuse). Checked this way rather
+  // than by looking for the live token, which the winning request may not have saved yet.
+  const ended = await RefreshToken.exists({
+    user: stored.user._id,
+    family: stored.family,
+    revokedReason: { $nin: ['', 'rotated'] },
+  });
+  return !ended;
+}
+
 function setRefreshCookie(res, token) {
   res.cookie('refreshToken', token, getRefreshCookieOptions());
 }
 
+function clearRefreshCookie(res) {
+  res.clearCookie('refreshToken', {
+    ...getRefreshCookieOptions(),
+    maxAge: undefined,
+  });
+}
+
+const EMAIL_VERIFICATION_EXPIRE_MS = 24 * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Seconds until another verification email may be sent (0 when it can be sent now)
+function verificationResendWait(user) {
+  if (!user.emailVerificationExpire) return 0;
+  const sentAt = new Date(user.emailVerificationExpire).getTime() - EMAIL_VERIFICATION_EXPIRE_MS;
+  return Math.max(0, Math.ceil((sentAt + EMAIL_VERIFICATION_RESEND_COOLDOWN_MS - Date.now()) / 1000));
+}
+
+// Store a hashed verification token on the user and email the raw one
+async function issueEmailVerification(user) {
+  const rawVerificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(rawVerificationToken);
+  user.emailVerificationExpire = Date.now() + EMAIL_VERIFICATION_EXPIRE_MS;
+  await user.save();
+
+  try {
+    await sendEmailVerification(user, rawVerificationToken);
+  } catch (emailError) {
+    console.error('Verification email send failed:', emailError.message);
+  }
+}
+
+// Issue a fresh refresh cookie + access token pair for a user and return the access token.
+// Anything the browser viewed while signed out joins the user's browsing history.
+async function startSession(req, res, user) {
+  mergeDeviceHistory(req, user).catch(error => logger.error(`Browsing history merge failed: ${error.message}`));
+  const refreshToken = await issueRefreshToken(req, user._id);
+  setRefreshCookie(res, refreshToken);
+  return generateAccessToken(user._id, user.tokenVersion);
+}
+
+// Response body shared by every login method (password, OTP)
+async function buildLoginData(user, token) {
+  // If seller, get seller profile
+  let sellerData = null;
+  if (user.role === 'seller') {
+    sellerData = await Seller.findOne({ userId: user._id });
+  }
+
+  return {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      avatar: user.avatar,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+      permissions: await getUserPermissions(user),
+    },
+    seller: sellerData ? {
+      id: sellerData._id,
+      storeName: sellerData.storeName,
+      isApproved: sellerData.isApproved,
+    } : null,
+    token,
+  };
+}
+
+// Password and OTP logins finish here; 2FA accounts get a short-lived challenge instead of tokens
+async function completeLogin(req, res, user, method = 'password') {
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app to finish signing in.',
+      data: { twoFactorRequired: true, challengeToken: createLoginChallenge(user, method) },
+    });
+  }
+
+  await recordSuccessfulLogin(req, user, { method });
+  const token = await startSession(req, res, user);
+
+  res.json({
+    success: true,
+    message: 'Login successful!',
+    data: await buildLoginData(user, token),
+  });
+}
+
 // @desc    Register a new buyer
 // @route   POST /api/auth/register
 // @access  Public
@@ -96,13 +262,13 @@ const registerBuyer = async (req, res) => {
       role: 'buyer',
     });
 
-    const token = generateAccessToken(user._id);
-    const refreshToken = await issueRefreshToken(req, user._id);
-    setRefreshCookie(res, refreshToken);
+    await issueEmailVerification(user);
+
+    const token = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
-      message: 'Registration successful! Welcome to Dealify.',
+      message: 'Registration successful! Please check your email to verify your account.',
       data: {
         user: {
           id: user._id,
@@ -111,6 +277,7 @@ const registerBuyer = async (req, res) => {
           phone: user.phone,
           role: user.role,
           avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified,
         },
         token,
       },
@@ -161,14 +328,15 @@ const registerSeller = async (req, res) => {
       panNumber: panNumber || '',
       businessAddress: businessAddress || {},
     });
+    await recordModeration('seller', seller, { owner: user._id, action: 'submitted', actor: user._id });
+
+    await issueEmailVerification(user);
 
-    const token = generateAccessToken(user._id);
-    const refreshToken = await issueRefreshToken(req, user._id);
-    setRefreshCookie(res, refreshToken);
+    const token = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
-      message: 'Seller registration successful! Your account is pending approval.',
+      message: 'Seller registration successful! Please verify your email while your account is pending approval.',
       data: {
         user: {
           id: user._id,
@@ -177,6 +345,7 @@ const registerSeller = async (req, res) => {
           phone: user.phone,
           role: user.role,
           avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified,
         },
         seller: {
           id: seller._id,
@@ -192,6 +361,26 @@ const registerSeller = async (req, res) => {
   }
 };
 
+// Same message for unknown email and wrong password so logins can't be used to probe accounts
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password';
+
+let dummyPasswordHash = null;
+
+// Run a bcrypt compare for unknown emails too, so response time doesn't reveal which emails exist
+async function burnPasswordCheck(password) {
+  if (!dummyPasswordHash) dummyPasswordHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+  await bcrypt.compare(password, dummyPasswordHash);
+}
+
+function sendLockedResponse(res, lockUntil) {
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: lockoutMessage(lockUntil),
+    data: { lockUntil },
+  });
+}
+
 // @desc    Login user (buyer/seller/admin)
 // @route   POST /api/auth/login
 // @access  Public
@@ -206,60 +395,46 @@ const loginUser = async (req, res) => {
 
     // Find user and include password field
     const user = await User.findOne({ email }).select('+password');
+    // Unknown emails are counted and locked out like real accounts, so the
+    // responses don't reveal whether an account exists
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'No account found with this email address',
-      });
+      const lockUntil = await unknownEmailLockUntil(email);
+      if (lockUntil) {
+        await recordFailedLogin(req, { email, reason: 'locked' });
+        return sendLockedResponse(res, lockUntil);
+      }
+      await burnPasswordCheck(password);
+      const attempt = await registerUnknownEmailAttempt(email);
+      await recordFailedLogin(req, { email, reason: 'unknown_account' });
+      if (attempt.locked) return sendLockedResponse(res, attempt.lockUntil);
+      return res.status(401).json({ success: false, message: INVALID_CREDENTIALS_MESSAGE });
     }
 
-    // Check if user is blocked
-    if (user.isBlocked) {
-      return res.status(403).json({
-        success: false,
-        message: 'Your account has been blocked. Please contact support.',
-      });
+    // Locked accounts don't get a password check at all
+    if (user.isLocked()) {
+      await recordFailedLogin(req, { user, reason: 'locked' });
+      return sendLockedResponse(res, user.lockUntil);
     }
 
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Password was incorrect',
-      });
+      const attempt = await registerFailedAttempt(user);
+      await recordFailedLogin(req, { user, reason: 'bad_password' });
+      if (attempt.locked) return sendLockedResponse(res, attempt.lockUntil);
+      return res.status(401).json({ success: false, message: INVALID_CREDENTIALS_MESSAGE });
     }
 
-    const token = generateAccessToken(user._id);
-    const refreshToken = await issueRefreshToken(req, user._id);
-    setRefreshCookie(res, refreshToken);
-
-    // If seller, get seller profile
-    let sellerData = null;
-    if (user.role === 'seller') {
-      sellerData = await Seller.findOne({ userId: user._id });
+    // Check if user is blocked (only after the password, so blocked status isn't revealed to strangers)
+    if (user.isBlocked) {
+      await recordFailedLogin(req, { user, reason: 'blocked' });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been blocked. Please contact support.',
+      });
     }
 
-    res.json({
-      success: true,
-      message: 'Login successful!',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          avatar: user.avatar,
-        },
-        seller: sellerData ? {
-          id: sellerData._id,
-          storeName: sellerData.storeName,
-          isApproved: sellerData.isApproved,
-        } : null,
-        token,
-      },
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login Error:', error);
     res.status(500).json({ success: false, message: 'Server error. Please try again.' });
@@ -283,6 +458,14 @@ const getMe = async (req, res) => {
       data: {
         user,
         seller: sellerData,
+        permissions: await getUserPermissions(user),
+        impersonation: req.impersonator
+          ? {
+            sessionId: req.impersonation._id,
+            impersonator: { _id: req.impersonator._id, name: req.impersonator.name, email: req.impersonator.email },
+            expiresAt: req.impersonation.expiresAt,
+          }
+          : null,
       },
     });
   } catch (error) {
@@ -297,13 +480,15 @@ const getMe = async (req, res) => {
 const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
+    // Same answer whether or not the email is registered, so this can't be used to find accounts
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent.',
+    };
 
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No account found with this email address.',
-      });
+      return res.json(response);
     }
 
     const rawResetToken = crypto.randomBytes(32).toString('hex');
@@ -319,10 +504,7 @@ const forgotPassword = async (req, res) => {
       console.error('Password reset email send failed:', emailError.message);
     }
 
-    res.json({
-      success: true,
-      message: 'Password reset instructions sent to your email.',
-    });
+    res.json(response);
   } catch (error) {
     console.error('Forgot Password Error:', error);
     res.status(500).json({ success: false, message: 'Server error.' });
@@ -350,10 +532,14 @@ const resetPassword = async (req, res) => {
     }
 
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    await onCredentialsChanged(user, { reason: 'password_reset', req });
+    clearRefreshCookie(res);
+
     res.json({
       success: true,
       message: 'Password reset successful! You can now login with your new password.',
@@ -364,6 +550,16 @@ const resetPassword = async (req, res) => {
   }
 };
 
+function sendRefreshedAccessToken(res, user) {
+  return res.json({
+    success: true,
+    message: 'Token refreshed',
+    data: {
+      token: generateAccessToken(user._id, user.tokenVersion),
+    },
+  });
+}
+
 const refreshAccessToken = async (req, res) => {
   try {
     const rawRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
@@ -374,6 +570,13 @@ const refreshAccessToken = async (req, res) => {
     const tokenHash = hashToken(rawRefreshToken);
     const stored = await RefreshToken.findOne({ tokenHash }).populate('user');
 
+    if (stored && stored.revokedAt && stored.replacedByTokenHash && stored.user) {
+      if (await isConcurrentRotation(stored)) return sendRefreshedAccessToken(res, stored.user);
+      await handleRefreshTokenReuse(req, stored);
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Session expired. Please login again.' });
+    }
+
     if (!stored || stored.revokedAt || stored.expiresAt < new Date() || !stored.user) {
       return res.status(401).json({ success: false, message: 'Invalid refresh token' });
     }
@@ -382,31 +585,43 @@ const refreshAccessToken = async (req, res) => {
       return res.status(403).json({ success: false, message: 'Your account has been blocked. Contact support.' });
     }
 
+    // Tokens issued before family tracking existed start their family here
+    const family = stored.family || createTokenFamily();
     const newRawRefreshToken = createRawToken();
     const newTokenHash = hashToken(newRawRefreshToken);
 
-    stored.revokedAt = new Date();
-    stored.replacedByTokenHash = newTokenHash;
-    await stored.save();
+    // Atomic so two concurrent refreshes with the same token cannot both rotate it
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      {
+        family,
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedByTokenHash: newTokenHash,
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      const latest = await RefreshToken.findById(stored._id).populate('user');
+      if (await isConcurrentRotation(latest)) return sendRefreshedAccessToken(res, latest.user);
+      await handleRefreshTokenReuse(req, latest);
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: 'Session expired. Please login again.' });
+    }
 
     await RefreshToken.create({
       user: stored.user._id,
       tokenHash: newTokenHash,
+      family,
+      sessionStartedAt: stored.sessionStartedAt || stored.createdAt,
       expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
       userAgent: req.headers['user-agent'] || '',
-      ipAddress: req.ip || req.connection?.remoteAddress || '',
+      ipAddress: getClientIp(req),
     });
 
     setRefreshCookie(res, newRawRefreshToken);
-    const accessToken = generateAccessToken(stored.user._id);
-
-    return res.json({
-      success: true,
-      message: 'Token refreshed',
-      data: {
-        token: accessToken,
-      },
-    });
+    return sendRefreshedAccessToken(res, stored.user);
   } catch (error) {
     console.error('Refresh token error:', error);
     return res.status(500).json({ success: false, message: 'Server error.' });
@@ -421,14 +636,12 @@ const logoutUser = async (req, res) => {
       const tokenDoc = await RefreshToken.findOne({ tokenHash });
       if (tokenDoc && !tokenDoc.revokedAt) {
         tokenDoc.revokedAt = new Date();
+        tokenDoc.revokedReason = 'logout';
         await tokenDoc.save();
       }
     }
 
-    res.clearCookie('refreshToken', {
-      ...getRefreshCookieOptions(),
-      maxAge: undefined,
-    });
+    clearRefreshCookie(res);
 
     return res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
@@ -436,6 +649,308 @@ const logoutUser = async (req, res) => {
   }
 };
 
+// @desc    Verify email address with token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.body.token),
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link.',
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    try {
+      await sendWelcomeEmail(user);
+    } catch (emailError) {
+      console.error('Welcome email send failed:', emailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully!',
+      data: { email: user.email, isEmailVerified: true },
+    });
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ success: false, message: 'Your email is already verified.' });
+    }
+
+    const retryAfter = verificationResendWait(user);
+    if (retryAfter > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email.`,
+        data: { retryAfter },
+      });
+    }
+
+    await issueEmailVerification(user);
+
+    res.json({ success: true, message: 'Verification email sent. Please check your inbox.' });
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+const OTP_FAILURE_MESSAGES = {
+  expired: 'OTP has expired or was not requested. Please request a new one.',
+  invalid: 'Incorrect OTP. Please try again.',
+  too_many_attempts: 'Too many incorrect attempts. Please request a new OTP.',
+};
+
+// @desc    Request a login OTP on a registered phone number
+// @route   POST /api/auth/otp/request
+// @access  Public
+const requestLoginOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { phone } = req.body;
+    const user = await User.findOne({ phone });
+
+    // Same response, cooldown included, whether or not the number is registered
+    const result = await requestOtp(phone, 'login', { deliver: Boolean(user && !user.isBlocked) });
+    if (!result.sent) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${result.retryAfter} seconds before requesting another OTP.`,
+        data: { retryAfter: result.retryAfter },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If this number is registered, an OTP has been sent to it.',
+    });
+  } catch (error) {
+    console.error('Request Login OTP Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Login with phone + OTP
+// @route   POST /api/auth/otp/verify
+// @access  Public
+const verifyLoginOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { phone, otp } = req.body;
+    const result = await verifyOtp(phone, 'login', otp);
+    const user = await User.findOne({ phone });
+
+    // Wrong codes count towards the same lockout as wrong passwords. The reply stays the same
+    // so it doesn't reveal which numbers are registered; the lock is reported once a valid
+    // code proves the caller holds the phone.
+    if (!result.valid) {
+      if (user) {
+        await registerFailedAttempt(user);
+        await recordFailedLogin(req, { user, reason: 'bad_otp', method: 'otp' });
+      }
+      return res.status(401).json({ success: false, message: OTP_FAILURE_MESSAGES[result.reason] });
+    }
+
+    if (!user) {
+      return res.status(401).json({ success: false, message: OTP_FAILURE_MESSAGES.invalid });
+    }
+
+    if (user.isLocked()) {
+      await recordFailedLogin(req, { user, reason: 'locked', method: 'otp' });
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    if (user.isBlocked) {
+      await recordFailedLogin(req, { user, reason: 'blocked', method: 'otp' });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been blocked. Please contact support.',
+      });
+    }
+
+    // Receiving the code proves the user owns this number
+    if (!user.isPhoneVerified) {
+      user.isPhoneVerified = true;
+      await user.save();
+    }
+
+    await completeLogin(req, res, user, 'otp');
+  } catch (error) {
+    console.error('Verify Login OTP Error:', error);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+};
+
+// @desc    Send a verification OTP to the logged in user's phone
+// @route   POST /api/auth/phone/send-otp
+// @access  Private
+const sendPhoneVerificationOtp = async (req, res) => {
+  try {
+    if (req.user.isPhoneVerified) {
+      return res.status(400).json({ success: false, message: 'Your phone number is already verified.' });
+    }
+
+    const result = await requestOtp(req.user.phone, 'verify_phone');
+    if (!result.sent) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${result.retryAfter} seconds before requesting another OTP.`,
+        data: { retryAfter: result.retryAfter },
+      });
+    }
+
+    res.json({ success: true, message: `OTP sent to your phone ending in ${req.user.phone.slice(-4)}` });
+  } catch (error) {
+    console.error('Send Phone OTP Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Verify the logged in user's phone with an OTP
+// @route   POST /api/auth/phone/verify
+// @access  Private
+const verifyPhone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const result = await verifyOtp(req.user.phone, 'verify_phone', req.body.otp);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, message: OTP_FAILURE_MESSAGES[result.reason] });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { isPhoneVerified: true });
+
+    res.json({ success: true, message: 'Phone number verified!', data: { isPhoneVerified: true } });
+  } catch (error) {
+    console.error('Verify Phone Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// Resolve which session the caller is on from the refresh cookie (sent to /api/auth/*)
+async function getCurrentSessionId(req) {
+  const rawRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!rawRefreshToken) return '';
+
+  const tokenDoc = await RefreshToken.findOne({
+    tokenHash: hashToken(rawRefreshToken),
+    user: req.user._id,
+    revokedAt: null,
+  });
+  if (!tokenDoc) return '';
+  return tokenDoc.family || tokenDoc._id.toString();
+}
+
+// @desc    List the caller's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const listSessions = async (req, res) => {
+  try {
+    const [sessions, currentSessionId] = await Promise.all([
+      RefreshToken.findActiveSessions(req.user._id),
+      getCurrentSessionId(req),
+    ]);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        device: describeUserAgent(session.userAgent),
+        isCurrent: session.id === currentSessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('List Sessions Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Sign out a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const revokedCount = await RefreshToken.revokeSession(req.user._id, req.params.id, 'session_revoked');
+    if (!revokedCount) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const currentSessionId = await getCurrentSessionId(req);
+    if (!currentSessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Sign out every session except the current one
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const currentSessionId = await getCurrentSessionId(req);
+    if (!currentSessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not identify your current session. Please login again.',
+      });
+    }
+
+    const revokedCount = await RefreshToken.revokeAllForUser(req.user._id, 'session_revoked', currentSessionId);
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revokedCount} other session(s)`,
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error('Revoke Other Sessions Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
 module.exports = {
   registerBuyer,
   registerSeller,
@@ -445,4 +960,17 @@ module.exports = {
   resetPassword,
   refreshAccessToken,
   logoutUser,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  startSession,
+  clearRefreshCookie,
+  buildLoginData,
+  sendLockedResponse,
+  verifyEmail,
+  resendVerification,
+  requestLoginOtp,
+  verifyLoginOtp,
+  sendPhoneVerificationOtp,
+  verifyPhone,
 };
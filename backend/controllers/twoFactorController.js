@@ -0,0 +1,348 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { sendSecurityAlert } = require('../services/emailService');
+const logger = require('../utils/logger');
+const { startSession, buildLoginData, sendLockedResponse } = require('./authController');
+const {
+  recordFailedLogin,
+  registerFailedAttempt,
+  recordSuccessfulLogin,
+} = require('../services/loginSecurityService');
+const {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  isValidTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  createStepUpToken,
+  verifyPurposeToken,
+} = require('../services/twoFactorService');
+
+const INVALID_CODE_MESSAGE = 'Invalid authentication code. Please try again.';
+
+// Wrong passwords and codes on signed-in re-checks count towards the same lockout as
+// login, so a stolen session can't be used to guess them
+async function rejectFailedCheck(res, user, message) {
+  const attempt = await registerFailedAttempt(user);
+  if (attempt.locked) return sendLockedResponse(res, attempt.lockUntil);
+  return res.status(401).json({ success: false, message });
+}
+
+async function notifyTwoFactorChange(req, user, heading, message) {
+  logger.info('Security event: two-factor settings changed', {
+    userId: String(user._id),
+    heading,
+  });
+
+  try {
+    await sendSecurityAlert(user, {
+      heading,
+      message,
+      ipAddress: req.ip || req.connection?.remoteAddress || '',
+      userAgent: req.headers['user-agent'] || '',
+    });
+  } catch (emailError) {
+    logger.error(`Two-factor alert email failed: ${emailError.message}`);
+  }
+}
+
+// @desc    Get two-factor status for the logged in user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: isTwoFactorRequired(user),
+        backupCodesRemaining: user.twoFactorEnabled ? user.twoFactorBackupCodes.length : 0,
+      },
+    });
+  } catch (error) {
+    console.error('Get 2FA Status Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Start 2FA enrollment — returns a new secret and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Seller, Admin, Staff)
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled.' });
+    }
+
+    // Kept pending until the user proves their app produces valid codes
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the 6-digit code to finish.',
+      data: await buildEnrollment(req.user, secret),
+    });
+  } catch (error) {
+    console.error('Setup 2FA Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Confirm enrollment with a code from the app and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Seller, Admin, Staff)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled.' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Please start two-factor setup first.' });
+    }
+    if (!isValidTotp(user.twoFactorPendingSecret, req.body.code)) {
+      return res.status(400).json({ success: false, message: INVALID_CODE_MESSAGE });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorEnabled = true;
+    await user.save();
+
+    await notifyTwoFactorChange(
+      req,
+      user,
+      'Two-factor authentication enabled',
+      'Two-factor authentication was turned on for your Dealify account. You will need a code from your authenticator app to sign in.'
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save your backup codes somewhere safe — they will not be shown again.',
+      data: { enabled: true, backupCodes: codes },
+    });
+  } catch (error) {
+    console.error('Enable 2FA Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Disable 2FA (needs password + code or backup code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled.' });
+    }
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be turned off.',
+      });
+    }
+    if (user.isLocked()) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return rejectFailedCheck(res, user, 'Password is incorrect');
+    }
+
+    const result = await verifySecondFactor(user._id, { code, backupCode });
+    if (!result.valid) {
+      return rejectFailedCheck(res, user, INVALID_CODE_MESSAGE);
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    });
+
+    await notifyTwoFactorChange(
+      req,
+      user,
+      'Two-factor authentication disabled',
+      'Two-factor authentication was turned off for your Dealify account. Your password alone can now be used to sign in.'
+    );
+
+    res.json({ success: true, message: 'Two-factor authentication disabled.', data: { enabled: false } });
+  } catch (error) {
+    console.error('Disable 2FA Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Replace all backup codes (needs a current code from the app)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled.' });
+    }
+    if (req.user.isLocked()) {
+      return sendLockedResponse(res, req.user.lockUntil);
+    }
+
+    const result = await verifySecondFactor(req.user._id, { code: req.body.code });
+    if (!result.valid) {
+      return rejectFailedCheck(res, req.user, INVALID_CODE_MESSAGE);
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorBackupCodes: hashes });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Your old codes no longer work.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    console.error('Regenerate Backup Codes Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+// @desc    Second login step — exchange a challenge + code for a session
+// @route   POST /api/auth/2fa/login
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+
+    const challenge = verifyPurposeToken(challengeToken, '2fa_login');
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please login again.',
+      });
+    }
+
+    const user = await User.findById(challenge.id).select('+twoFactorBackupCodes');
+    if (!user || (challenge.tv || 0) !== (user.tokenVersion || 0) || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please login again.',
+      });
+    }
+
+    const method = challenge.method || 'password';
+
+    if (user.isLocked()) {
+      await recordFailedLogin(req, { user, reason: 'locked', method });
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    if (user.isBlocked) {
+      await recordFailedLogin(req, { user, reason: 'blocked', method });
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been blocked. Please contact support.',
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const result = await verifySecondFactor(user._id, { code, backupCode });
+    if (!result.valid) {
+      const attempt = await registerFailedAttempt(user);
+      await recordFailedLogin(req, { user, reason: 'bad_2fa_code', method });
+      if (attempt.locked) return sendLockedResponse(res, attempt.lockUntil);
+      return res.status(401).json({ success: false, message: INVALID_CODE_MESSAGE });
+    }
+
+    await recordSuccessfulLogin(req, user, { method, twoFactorMethod: result.method });
+    const token = await startSession(req, res, user);
+
+    let message = 'Login successful!';
+    if (result.method === 'backup_code') {
+      const remaining = user.twoFactorBackupCodes.length - 1;
+      message = `Login successful! You have ${remaining} backup code${remaining === 1 ? '' : 's'} left.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: await buildLoginData(user, token),
+    });
+  } catch (error) {
+    console.error('Verify 2FA Login Error:', error);
+    res.status(500).json({ success: false, message: 'Server error. Please try again.' });
+  }
+};
+
+// @desc    Re-authenticate before a sensitive action — returns a short-lived step-up token
+// @route   POST /api/auth/step-up
+// @access  Private
+const stepUp = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    let method = 'password';
+
+    if (req.user.isLocked()) {
+      return sendLockedResponse(res, req.user.lockUntil);
+    }
+
+    if (req.user.twoFactorEnabled) {
+      const result = await verifySecondFactor(req.user._id, { code, backupCode });
+      if (!result.valid) {
+        return rejectFailedCheck(res, req.user, INVALID_CODE_MESSAGE);
+      }
+      method = result.method;
+    } else {
+      const user = await User.findById(req.user._id).select('+password');
+      if (!password || !(await user.comparePassword(password))) {
+        return rejectFailedCheck(res, req.user, 'Password is incorrect');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Identity confirmed.',
+      data: { stepUpToken: createStepUpToken(req.user, method) },
+    });
+  } catch (error) {
+    console.error('Step-up Error:', error);
+    res.status(500).json({ success: false, message: 'Server error.' });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyTwoFactorLogin,
+  stepUp,
+};
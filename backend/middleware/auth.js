@@ -1,5 +1,50 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Impersonation tokens carry `imp` — the session id plus who started it and their token version.
+// Sets req.impersonator / req.impersonation, or returns false when the session is no longer valid.
+const loadImpersonation = async (req, imp) => {
+  const ImpersonationSession = require('../models/ImpersonationSession');
+
+  const session = await ImpersonationSession.findById(imp.sid);
+  if (!session || !session.isActive()) return false;
+  if (String(session.impersonator) !== String(imp.by) || String(session.targetUser) !== String(req.user._id)) {
+    return false;
+  }
+
+  const impersonator = await User.findById(imp.by);
+  if (!impersonator || impersonator.isBlocked || (imp.btv || 0) !== (impersonator.tokenVersion || 0)) {
+    return false;
+  }
+
+  req.impersonator = impersonator;
+  req.impersonation = session;
+  return true;
+};
+
+// Append every write made while impersonating to the session's audit trail
+const auditImpersonatedWrite = (req, res) => {
+  if (!WRITE_METHODS.includes(req.method)) return;
+
+  res.on('finish', () => {
+    const ImpersonationSession = require('../models/ImpersonationSession');
+    ImpersonationSession.updateOne(
+      { _id: req.impersonation._id },
+      { $push: { actions: { method: req.method, path: req.originalUrl, statusCode: res.statusCode } } }
+    ).catch((error) => logger.error(`Impersonation audit failed: ${error.message}`));
+
+    logger.info('Impersonated write', {
+      impersonatorId: String(req.impersonator._id),
+      userId: String(req.user._id),
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+    });
+  });
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -18,6 +63,15 @@ const protect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // 2FA challenge and step-up tokens are signed with the same secret but are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Token expired or invalid.',
+      });
+    }
+
     req.user = await User.findById(decoded.id);
 
     if (!req.user) {
@@ -27,6 +81,14 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Tokens minted before the last password change / block carry an older version
+    if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please login again.',
+      });
+    }
+
     if (req.user.isBlocked) {
       return res.status(403).json({
         success: false,
@@ -34,6 +96,17 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (decoded.imp) {
+      if (!(await loadImpersonation(req, decoded.imp))) {
+        return res.status(401).json({
+          success: false,
+          code: 'IMPERSONATION_ENDED',
+          message: 'This view-as-user session has ended.',
+        });
+      }
+      auditImpersonatedWrite(req, res);
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -43,11 +116,51 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Sets req.user when a valid access token is sent; anonymous (or expired) requests carry on
+// without one. View-as-user tokens are ignored so an admin's browsing isn't attributed to the user.
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return next();
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    if (!decoded.purpose && !decoded.imp) {
+      const user = await User.findById(decoded.id);
+      if (user && !user.isBlocked && (decoded.tv || 0) === (user.tokenVersion || 0)) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Treated as anonymous
+  }
+  next();
+};
+
 // Generate access JWT token
-const generateAccessToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
+const generateAccessToken = (id, tokenVersion = 0) => {
+  return jwt.sign({ id, tv: tokenVersion }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
-module.exports = { protect, generateAccessToken, generateToken: generateAccessToken };
+// Short-lived access token for viewing as another user — no refresh token is ever issued for it
+const generateImpersonationToken = (targetUser, impersonator, session) => {
+  const expiresIn = Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign(
+    {
+      id: targetUser._id,
+      tv: targetUser.tokenVersion || 0,
+      imp: { sid: session._id, by: impersonator._id, btv: impersonator.tokenVersion || 0 },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  generateAccessToken,
+  generateToken: generateAccessToken,
+  generateImpersonationToken,
+};
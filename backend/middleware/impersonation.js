@@ -0,0 +1,15 @@
+// Actions that must come from the account owner — never from an admin viewing as them.
+// Use after `protect`, which sets req.impersonator for impersonation tokens.
+const blockWhileImpersonating = (action) => {
+  return (req, res, next) => {
+    if (!req.impersonator) return next();
+
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: `You cannot ${action} while viewing as another user.`,
+    });
+  };
+};
+
+module.exports = { blockWhileImpersonating };
@@ -0,0 +1,49 @@
+const StaffRole = require('../models/StaffRole');
+const { ALL_PERMISSIONS, STAFF_PERMISSIONS } = require('../config/permissions');
+
+// Admins are super-admins; staff get their role's permissions (never the admin-only ones,
+// even if an older role still lists them); everyone else gets none
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+  if (user.role === 'admin') return ALL_PERMISSIONS;
+  if (user.role !== 'staff' || !user.staffRole) return [];
+
+  const staffRole = await StaffRole.findById(user.staffRole).select('permissions');
+  return staffRole ? staffRole.permissions.filter(permission => STAFF_PERMISSIONS.includes(permission)) : [];
+};
+
+const hasPermission = async (user, permission) => {
+  const permissions = await getUserPermissions(user);
+  return permissions.includes(permission);
+};
+
+// Permission-based access control for admin panel routes (replaces roleGuard('admin'))
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized. Please login.',
+        });
+      }
+
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+
+      if (!req.permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You need the "${permission}" permission for this resource.`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+};
+
+module.exports = { requirePermission, getUserPermissions, hasPermission };
@@ -0,0 +1,65 @@
+const { isTwoFactorRequired, verifyPurposeToken } = require('../services/twoFactorService');
+
+const twoFactorSetupRequired = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_SETUP_REQUIRED',
+  message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+});
+
+// Block accounts that must use 2FA (per user or via TWO_FACTOR_REQUIRED_ROLES) until they enroll
+const requireTwoFactorEnrollment = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized. Please login.',
+    });
+  }
+
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+    return twoFactorSetupRequired(res);
+  }
+
+  next();
+};
+
+// Sensitive actions need a fresh re-authentication: the client obtains a
+// step-up token from POST /api/auth/step-up and sends it as X-Step-Up-Token.
+// `when(req)` (sync or async) limits the check to requests that need it.
+const requireStepUp = ({ when } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized. Please login.',
+        });
+      }
+
+      if (when && !(await when(req))) return next();
+
+      if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+        return twoFactorSetupRequired(res);
+      }
+
+      const decoded = verifyPurposeToken(req.headers['x-step-up-token'] || '', 'step_up');
+      if (
+        !decoded
+        || String(decoded.id) !== String(req.user._id)
+        || (decoded.tv || 0) !== (req.user.tokenVersion || 0)
+      ) {
+        return res.status(403).json({
+          success: false,
+          code: 'STEP_UP_REQUIRED',
+          message: 'Please confirm your identity to continue.',
+          data: { method: req.user.twoFactorEnabled ? 'totp' : 'password' },
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+};
+
+module.exports = { requireStepUp, requireTwoFactorEnrollment };
@@ -0,0 +1,36 @@
+// Email verification gate — which actions need a verified address is
+// configured with EMAIL_VERIFICATION_REQUIRED_FOR (comma separated).
+// Known actions: checkout, seller_approval, product_listing, reviews, questions
+const DEFAULT_REQUIRED_FOR = 'checkout,seller_approval';
+
+const isEmailVerificationRequired = (action) => {
+  const configured = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? DEFAULT_REQUIRED_FOR;
+  return configured
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .includes(action);
+};
+
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Please login.',
+      });
+    }
+
+    if (req.user.role === 'admin' || req.user.isEmailVerified || !isEmailVerificationRequired(action)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue. Check your inbox for the verification link.',
+    });
+  };
+};
+
+module.exports = { requireVerifiedEmail, isEmailVerificationRequired };
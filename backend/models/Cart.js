@@ -3,10 +3,18 @@ const mongoose = require('mongoose');
 const cartItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
   quantity: { type: Number, required: true, min: 1, default: 1 },
+  // _id of the chosen entry in Product.skus, for products sold in variants
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  variantLabel: { type: String, default: '' },
   size: { type: String, default: '' },
   color: { type: String, default: '' },
   price: { type: Number, required: true },
   mrp: { type: Number, default: 0 },
+  // Live deal the price comes from; prices are re-checked whenever the cart is loaded
+  deal: { type: mongoose.Schema.Types.ObjectId, ref: 'Deal', default: null },
+  dealEndsAt: { type: Date, default: null },
+  // Product archived, deactivated or its variant withdrawn: shown to the buyer, left out of totals
+  unavailable: { type: Boolean, default: false },
 });
 
 const cartSchema = new mongoose.Schema(
@@ -17,17 +25,19 @@ const cartSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+const buyableItems = cart => cart.items.filter(item => !item.unavailable);
+
 // Virtual: total price
 cartSchema.virtual('totalPrice').get(function () {
-  return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return buyableItems(this).reduce((sum, item) => sum + item.price * item.quantity, 0);
 });
 
 cartSchema.virtual('totalMRP').get(function () {
-  return this.items.reduce((sum, item) => sum + (item.mrp || item.price) * item.quantity, 0);
+  return buyableItems(this).reduce((sum, item) => sum + (item.mrp || item.price) * item.quantity, 0);
 });
 
 cartSchema.virtual('itemCount').get(function () {
-  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+  return buyableItems(this).reduce((sum, item) => sum + item.quantity, 0);
 });
 
 cartSchema.set('toJSON', { virtuals: true });
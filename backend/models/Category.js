@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { slugHistory } = require('../utils/slugs');
 
 const categorySchema = new mongoose.Schema(
   {
@@ -48,16 +49,7 @@ const categorySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Auto-generate slug from name before saving
-categorySchema.pre('save', function (next) {
-  if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
-  }
-  next();
-});
+categorySchema.plugin(slugHistory, { fallback: 'category' });
 
 // Virtual for subcategories
 categorySchema.virtual('subcategories', {
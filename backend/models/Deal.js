@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A time-boxed sale price for one product, or one SKU of a product sold in variants
+const dealSchema = new mongoose.Schema(
+  {
+    title: { type: String, trim: true, maxlength: 100, default: '' },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // _id of the Product.skus entry; required for products with SKUs, null otherwise
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    price: { type: Number, required: [true, 'Deal price is required'], min: [0, 'Price cannot be negative'] },
+    quantity: { type: Number, default: 0, min: 0 }, // units sold at the deal price, 0 = until stock runs out
+    soldCount: { type: Number, default: 0 },
+    perUserLimit: { type: Number, default: 0, min: 0 }, // 0 = no cap per customer
+    startsAt: { type: Date, required: [true, 'Start time is required'] },
+    endsAt: { type: Date, required: [true, 'End time is required'] },
+    isActive: { type: Boolean, default: true }, // false once cancelled
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+dealSchema.index({ product: 1, variant: 1, endsAt: 1 });
+dealSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+dealSchema.pre('validate', function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'A deal must end after it starts');
+  }
+  next();
+});
+
+dealSchema.methods.getStatus = function (now = new Date()) {
+  if (!this.isActive) return 'cancelled';
+  if (now < this.startsAt) return 'upcoming';
+  if (now >= this.endsAt) return 'ended';
+  if (this.quantity > 0 && this.soldCount >= this.quantity) return 'sold_out';
+  return 'live';
+};
+
+// Units still available at the deal price (Infinity when the deal has no quantity limit)
+dealSchema.methods.remaining = function () {
+  return this.quantity > 0 ? Math.max(this.quantity - this.soldCount, 0) : Infinity;
+};
+
+// Atomically count `quantity` units as sold. Resolves to null when the deal can't cover them.
+dealSchema.statics.claim = function (dealId, quantity, { session } = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: dealId,
+      $or: [{ quantity: 0 }, { $expr: { $lte: [{ $add: ['$soldCount', quantity] }, '$quantity'] } }],
+    },
+    { $inc: { soldCount: quantity } },
+    { session, new: true }
+  );
+};
+
+// Give units back for a cancelled order line
+dealSchema.statics.release = function (dealId, quantity, { session } = {}) {
+  return this.updateOne({ _id: dealId, soldCount: { $gte: quantity } }, { $inc: { soldCount: -quantity } }, { session });
+};
+
+module.exports = mongoose.model('Deal', dealSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Audit trail for "view as user" sessions. Kept indefinitely — do not add a TTL index.
+const impersonationSessionSchema = new mongoose.Schema(
+  {
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'A reason is required to view as another user'],
+      trim: true,
+      maxlength: [300, 'Reason cannot exceed 300 characters'],
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // Every write request made with the impersonation token, including blocked ones
+    actions: [{
+      method: String,
+      path: String,
+      statusCode: Number,
+      createdAt: { type: Date, default: Date.now },
+    }],
+  },
+  { timestamps: true }
+);
+
+impersonationSessionSchema.index({ createdAt: -1 });
+
+impersonationSessionSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('ImpersonationSession', impersonationSessionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One change to the stock of a product, or of one SKU for products sold in variants:
+// a sale, stock put back by a cancellation, or a seller's manual adjustment
+// (product form, spreadsheet import or the bulk stock endpoint).
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // _id of the Product.skus entry; null for products without SKUs
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: ['sale', 'cancellation', 'adjustment'],
+      required: true,
+    },
+    // Signed: negative when stock went down
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    stockAfter: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Note cannot exceed 300 characters'],
+      default: '',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+inventoryMovementSchema.index({ seller: 1, createdAt: -1 });
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_RETENTION_DAYS = Number(process.env.LOGIN_HISTORY_RETENTION_DAYS || 90);
+
+const loginHistorySchema = new mongoose.Schema(
+  {
+    // Empty for attempts against an email that has no account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+    email: {
+      type: String,
+      default: '',
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    failureReason: {
+      type: String,
+      enum: ['', 'unknown_account', 'bad_password', 'locked', 'blocked', 'bad_otp', 'bad_2fa_code'],
+      default: '',
+    },
+    method: {
+      type: String,
+      enum: ['password', 'otp'],
+      default: 'password',
+    },
+    twoFactorMethod: {
+      type: String,
+      enum: ['', 'totp', 'backup_code'],
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    deviceHash: {
+      type: String,
+      default: '',
+    },
+    newDevice: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Failed password logins against emails that have no account. Counted and locked
+// exactly like a real account's failedLoginAttempts / lockUntil, so the lockout
+// response can't be used to find out whether an email is registered.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    // Pushed forward on every attempt; the record goes once the email is left alone
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
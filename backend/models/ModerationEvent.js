@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One step in the moderation of a product or a seller application: submitted, approved,
+// rejected (with reason codes) or resubmitted by the seller after fixing it.
+const moderationEventSchema = new mongoose.Schema(
+  {
+    itemType: {
+      type: String,
+      enum: ['product', 'seller'],
+      required: true,
+    },
+    // Product _id or Seller _id
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // The seller's user account
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'resubmitted'],
+      required: true,
+    },
+    // Labels are copied in so the history reads the same if the catalogue changes later
+    reasons: [{
+      _id: false,
+      code: String,
+      label: String,
+    }],
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters'],
+      default: '',
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+moderationEventSchema.index({ itemType: 1, item: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationEvent', moderationEventSchema);
@@ -10,6 +10,12 @@ const orderItemSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, min: 1 },
   size: { type: String, default: '' },
   color: { type: String, default: '' },
+  // Snapshot of the Product.skus entry that was bought
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+  sku: { type: String, default: '' },
+  variantLabel: { type: String, default: '' },
+  // Set when the line was bought at a flash deal price
+  deal: { type: mongoose.Schema.Types.ObjectId, ref: 'Deal', default: null },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'],
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ['login', 'verify_phone'],
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// One live code per phone + purpose; requesting again replaces it
+phoneOtpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
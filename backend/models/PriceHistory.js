@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One row per price / MRP change of a product, or of one SKU for products sold in variants.
+// Written by the Product model whenever a save changes a price (see services/priceHistoryService.js).
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // _id of the Product.skus entry; null for products without SKUs
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variantLabel: {
+      type: String,
+      default: '',
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    mrp: {
+      type: Number,
+      required: true,
+    },
+    // null on the first row (product or variant created)
+    previousPrice: {
+      type: Number,
+      default: null,
+    },
+    previousMrp: {
+      type: Number,
+      default: null,
+    },
+    // Suspicious pattern spotted when the change was recorded, e.g. MRP raised just before a price cut
+    flagReason: {
+      type: String,
+      default: '',
+    },
+    flagStatus: {
+      type: String,
+      enum: ['none', 'open', 'dismissed', 'confirmed'],
+      default: 'none',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+priceHistorySchema.index({ product: 1, variant: 1, createdAt: -1 });
+priceHistorySchema.index({ flagStatus: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const { pricePoints, diffPricePoints, recordPriceChanges } = require('../services/priceHistoryService');
+const { stockPoints, diffStockPoints, recordStockChanges } = require('../services/inventoryService');
+const { slugHistory } = require('../utils/slugs');
+const logger = require('../utils/logger');
+
+// One sellable combination of the product's variant options, e.g. { Size: 'M', Color: 'Red' }
+const variantSkuSchema = new mongoose.Schema({
+  options: {
+    type: Map,
+    of: String,
+    required: true,
+  },
+  sku: { type: String, default: '', trim: true },
+  price: { type: Number, required: [true, 'Variant price is required'], min: [0, 'Price cannot be negative'] },
+  mrp: { type: Number, default: 0, min: [0, 'MRP cannot be negative'] },
+  stock: { type: Number, default: 0, min: [0, 'Stock cannot be negative'] },
+  // Low-stock alert level for this SKU; null uses the product's
+  lowStockThreshold: { type: Number, default: null, min: [0, 'Low-stock threshold cannot be negative'] },
+  images: [
+    {
+      url: { type: String, required: true },
+      public_id: { type: String, default: '' },
+      alt: { type: String, default: '' },
+    },
+  ],
+  weight: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+});
+
+// e.g. "M / Red", in the order the options are stored
+variantSkuSchema.virtual('label').get(function () {
+  return Array.from(this.options.values()).join(' / ');
+});
+
+variantSkuSchema.set('toJSON', { virtuals: true });
+variantSkuSchema.set('toObject', { virtuals: true });
 
 const productSchema = new mongoose.Schema(
   {
@@ -65,12 +101,14 @@ const productSchema = new mongoose.Schema(
         value: { type: String },
       },
     ],
+    // Option axes (e.g. Size: [S, M, L]); `skus` holds one entry per combination
     variants: [
       {
         name: { type: String },
         options: [String],
       },
     ],
+    skus: [variantSkuSchema],
     sizes: [String],
     colors: [
       {
@@ -111,6 +149,17 @@ const productSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Sellers are alerted when an order takes stock to this level; null uses LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+      type: Number,
+      default: null,
+      min: [0, 'Low-stock threshold cannot be negative'],
+    },
+    // Product page views (repeat views by the same visitor within 30 minutes count once)
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -122,7 +171,29 @@ const productSchema = new mongoose.Schema(
     isApproved: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
-      default: 'approved',
+      default: 'pending',
+    },
+    // Why the listing was last rejected; kept while a resubmission waits for review
+    rejectionReasons: [{
+      _id: false,
+      code: String,
+      label: String,
+    }],
+    approvalNote: {
+      type: String,
+      default: '',
+    },
+    // Set when the seller deletes the product: it leaves the catalog (isActive is false) but
+    // stays resolvable for orders, reviews, carts and wishlists until restored or purged
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Seller edit to this live listing that is waiting for review (see ProductRevision)
+    pendingRevision: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductRevision',
+      default: null,
     },
     shippingInfo: {
       freeShipping: { type: Boolean, default: false },
@@ -144,17 +215,60 @@ productSchema.index({ seller: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ createdAt: -1 });
-productSchema.index({ slug: 1 });
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+productSchema.index({ archivedAt: 1 }, { sparse: true });
+productSchema.plugin(slugHistory, { fallback: 'product' });
 
-// Auto-generate slug and discount before saving
-productSchema.pre('save', function (next) {
-  if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '')
-      + '-' + Date.now().toString(36);
+// Check every SKU picks exactly one valid value per option axis, with no duplicate combinations.
+// Products with SKUs take their stock (sum) and listing price (cheapest) from them.
+productSchema.pre('validate', function (next) {
+  if (!this.skus || this.skus.length === 0) return next();
+
+  const axes = (this.variants || []).filter(axis => axis.name && axis.options.length > 0);
+  if (axes.length === 0) {
+    this.invalidate('variants', 'Add at least one variant option (e.g. Size) before adding SKUs');
+    return next();
   }
+
+  const seen = new Set();
+  const skuCodes = new Set();
+  this.skus.forEach((variant, i) => {
+    const key = axes.map((axis) => {
+      const value = variant.options.get(axis.name);
+      if (!axis.options.includes(value)) {
+        this.invalidate(`skus.${i}.options`, `Variant ${i + 1} needs a valid ${axis.name}`);
+      }
+      return value;
+    }).join('|');
+
+    if (variant.options.size !== axes.length) {
+      this.invalidate(`skus.${i}.options`, `Variant ${i + 1} has options that are not defined on the product`);
+    }
+    if (seen.has(key)) {
+      this.invalidate(`skus.${i}.options`, `Variant "${variant.label}" is listed more than once`);
+    }
+    seen.add(key);
+
+    if (variant.sku) {
+      if (skuCodes.has(variant.sku)) {
+        this.invalidate(`skus.${i}.sku`, `SKU "${variant.sku}" is used by more than one variant`);
+      }
+      skuCodes.add(variant.sku);
+    }
+  });
+
+  const active = this.skus.filter(variant => variant.isActive);
+  this.stock = active.reduce((sum, variant) => sum + variant.stock, 0);
+  if (active.length > 0) {
+    const cheapest = active.reduce((min, variant) => (variant.price < min.price ? variant : min));
+    this.price = cheapest.price;
+    this.mrp = cheapest.mrp || cheapest.price;
+  }
+  next();
+});
+
+// Calculate discount and short description before saving (the slug comes from slugHistory)
+productSchema.pre('save', function (next) {
   // Calculate discount percentage
   if (this.mrp > 0 && this.price < this.mrp) {
     this.discount = Math.round(((this.mrp - this.price) / this.mrp) * 100);
@@ -173,6 +287,133 @@ productSchema.virtual('inStock').get(function () {
   return this.stock > 0;
 });
 
+productSchema.methods.hasVariants = function () {
+  return Array.isArray(this.skus) && this.skus.length > 0;
+};
+
+// Find the SKU a buyer picked — by id, or by option values. Legacy `size` / `color`
+// fields are matched against options of the same name.
+productSchema.methods.findVariant = function ({ variantId, options = {}, size = '', color = '' } = {}) {
+  if (!this.hasVariants()) return null;
+  if (variantId) return this.skus.id(variantId) || null;
+
+  const picked = {};
+  Object.entries(options || {}).forEach(([name, value]) => { picked[name.toLowerCase()] = value; });
+  if (size && !picked.size) picked.size = size;
+  if (color && !picked.color) picked.color = color;
+
+  return this.skus.find(variant => (
+    Array.from(variant.options.entries()).every(([name, value]) => picked[name.toLowerCase()] === value)
+  )) || null;
+};
+
+// Atomically take stock for an order line (per variant when the line has one).
+// Resolves to the updated product, or null when there is not enough stock.
+productSchema.statics.decrementStock = function ({ product, variant, quantity }, { session } = {}) {
+  const filter = variant
+    ? { _id: product, skus: { $elemMatch: { _id: variant, isActive: true, stock: { $gte: quantity } } } }
+    : { _id: product, stock: { $gte: quantity } };
+  const update = { $inc: { stock: -quantity, totalSold: quantity } };
+  if (variant) update.$inc['skus.$.stock'] = -quantity;
+
+  return this.findOneAndUpdate(filter, update, { session, new: true });
+};
+
+// Put stock back for a cancelled order line. A SKU deactivated since the order only gets its
+// own stock back: the product's stock counts active SKUs only.
+productSchema.statics.restoreStock = async function ({ product, variant, quantity }, { session } = {}) {
+  const update = { $inc: { stock: quantity, totalSold: -quantity } };
+  if (!variant) return this.findOneAndUpdate({ _id: product }, update, { session, new: true });
+
+  update.$inc['skus.$.stock'] = quantity;
+  const restored = await this.findOneAndUpdate(
+    { _id: product, skus: { $elemMatch: { _id: variant, isActive: true } } },
+    update,
+    { session, new: true }
+  );
+  if (restored) return restored;
+
+  delete update.$inc.stock;
+  return this.findOneAndUpdate({ _id: product, 'skus._id': variant }, update, { session, new: true });
+};
+
+// Manual stock correction for the inventory ledger: `change` is added to the product's (or SKU's)
+// stock. `countInTotal` is false for inactive SKUs, which the product's stock leaves out.
+// Resolves to the updated product, or null when it would take stock below zero.
+productSchema.statics.adjustStock = function ({ product, variant, change, countInTotal = true }) {
+  const filter = variant
+    ? { _id: product, skus: { $elemMatch: { _id: variant, stock: { $gte: -change } } } }
+    : { _id: product, stock: { $gte: -change } };
+  const update = { $inc: {} };
+  if (countInTotal) update.$inc.stock = change;
+  if (variant) update.$inc['skus.$.stock'] = change;
+
+  return this.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Price history and inventory ledger: remember each series' price and stock as loaded,
+// so a save can log what it changed
+productSchema.post('init', function () {
+  this.$locals.loadedPrices = pricePoints(this);
+  this.$locals.loadedStock = stockPoints(this);
+});
+
+productSchema.pre('save', function (next) {
+  const before = this.isNew ? new Map() : this.$locals.loadedPrices;
+  this.$locals.priceChanges = before ? diffPricePoints(before, pricePoints(this)) : [];
+  const stockBefore = this.isNew ? new Map() : this.$locals.loadedStock;
+  this.$locals.stockChanges = stockBefore ? diffStockPoints(stockBefore, stockPoints(this)) : [];
+  next();
+});
+
+productSchema.post('save', function (doc) {
+  recordPriceChanges(doc, doc.$locals.priceChanges);
+  doc.$locals.priceChanges = [];
+  doc.$locals.loadedPrices = pricePoints(doc);
+  recordStockChanges(doc, doc.$locals.stockChanges);
+  doc.$locals.stockChanges = [];
+  doc.$locals.loadedStock = stockPoints(doc);
+});
+
+// Keep the external search index (when SEARCH_DRIVER uses one) in step with product writes.
+// Required lazily: the search service itself depends on this model.
+function syncSearchIndex(ids) {
+  require('../services/searchService').syncProducts(ids);
+}
+
+productSchema.post('save', function (doc) {
+  syncSearchIndex([doc._id]);
+});
+
+productSchema.post('deleteOne', { document: true, query: false }, function (doc) {
+  syncSearchIndex([doc._id]);
+});
+
+productSchema.post(['findOneAndUpdate', 'findOneAndDelete'], function (doc) {
+  if (doc) syncSearchIndex([doc._id]);
+});
+
+// Products an updateMany() is about to change. They are looked up before it runs, since the
+// update can change the very fields its filter matches on (e.g. isActive).
+const updateManyIds = new WeakMap();
+
+productSchema.pre('updateMany', async function () {
+  const { syncsSearchIndex } = require('../services/searchService');
+  if (!syncsSearchIndex()) return;
+  try {
+    updateManyIds.set(this, await this.model.find(this.getFilter()).distinct('_id'));
+  } catch (error) {
+    logger.error(`Search index sync failed: ${error.message}`);
+  }
+});
+
+productSchema.post('updateMany', function () {
+  const ids = updateManyIds.get(this);
+  if (!ids) return;
+  updateManyIds.delete(this);
+  syncSearchIndex(ids);
+});
+
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
 
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_IMPORT_RETENTION_DAYS = Number(process.env.PRODUCT_IMPORT_RETENTION_DAYS || 30);
+
+// A seller's bulk CSV/XLSX upload. Rows are processed in the background and the
+// per-row outcome is kept here so the seller can download it as a result file.
+const productImportJobSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      default: '',
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'completed', 'failed'],
+      default: 'queued',
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    updatedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    // One entry per data row, in file order
+    rows: [{
+      _id: false,
+      row: Number,
+      sku: String,
+      parentSku: String,
+      status: { type: String, enum: ['created', 'updated', 'failed'] },
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null },
+      messages: [String],
+    }],
+    error: {
+      type: String,
+      default: '',
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+productImportJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: PRODUCT_IMPORT_RETENTION_DAYS * 24 * 60 * 60 });
+
+productImportJobSchema.methods.isRunning = function () {
+  return this.status === 'queued' || this.status === 'processing';
+};
+
+module.exports = mongoose.model('ProductImportJob', productImportJobSchema);
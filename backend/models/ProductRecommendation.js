@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const recommendedItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Number of orders (or viewers) the two products share
+    score: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Precomputed co-purchase and co-view neighbours of one product, rebuilt by the recommendation job
+const productRecommendationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      unique: true,
+    },
+    boughtTogether: [recommendedItemSchema],
+    alsoViewed: [recommendedItemSchema],
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One change to a product's listing content (see REVIEWED_FIELDS in services/productRevisionService.js).
+// Edits to a live product wait here as `pending` until an admin approves them; edits to a product
+// that is not live yet are applied at once and approved or rejected along with the product.
+const productRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // 1, 2, 3… per product
+    number: {
+      type: Number,
+      required: true,
+    },
+    // baseline: the listing as it was before revisions were tracked
+    kind: {
+      type: String,
+      enum: ['baseline', 'create', 'edit', 'rollback'],
+      default: 'edit',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'superseded'],
+      default: 'pending',
+    },
+    fields: [String],
+    // Values of `fields` before and after the change
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Full listing content once this revision is applied; what a rollback restores
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    rolledBackTo: {
+      type: Number,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+      default: '',
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+productRevisionSchema.index({ product: 1, number: -1 }, { unique: true });
+productRevisionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ProductRevision', productRevisionSchema);
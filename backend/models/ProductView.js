@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const PRODUCT_VIEW_RETENTION_DAYS = Number(process.env.PRODUCT_VIEW_RETENTION_DAYS || 90);
+
+// One row per viewer and product: a signed-in buyer (`user`) or an anonymous browser (`deviceId`).
+// Powers "recently viewed" and "customers who viewed this also viewed".
+const productViewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Random id the browser keeps in localStorage; rows move to the user when they sign in
+    deviceId: {
+      type: String,
+      trim: true,
+    },
+    views: {
+      type: Number,
+      default: 1,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+productViewSchema.pre('validate', function (next) {
+  if (!this.user && !this.deviceId) this.invalidate('user', 'A view needs a user or a device id');
+  next();
+});
+
+productViewSchema.index({ user: 1, product: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+productViewSchema.index({ deviceId: 1, product: 1 }, { unique: true, partialFilterExpression: { deviceId: { $exists: true } } });
+productViewSchema.index({ user: 1, lastViewedAt: -1 });
+productViewSchema.index({ deviceId: 1, lastViewedAt: -1 });
+productViewSchema.index({ product: 1 });
+productViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: PRODUCT_VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductView', productViewSchema);
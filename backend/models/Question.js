@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The product's seller, or a buyer who received the product
+    role: { type: String, enum: ['seller', 'buyer'], required: true },
+    isVerifiedPurchase: { type: Boolean, default: false },
+    text: {
+      type: String,
+      required: [true, 'Answer text is required'],
+      trim: true,
+      maxlength: [1000, 'Answer cannot exceed 1000 characters'],
+    },
+    upvotes: { type: Number, default: 0 },
+    upvotedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    status: { type: String, enum: ['published', 'hidden'], default: 'published' },
+  },
+  { timestamps: true }
+);
+
+const questionSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Copied from the product so the seller's inbox is a single query
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: {
+      type: String,
+      required: [true, 'Question text is required'],
+      trim: true,
+      minlength: [5, 'Question must be at least 5 characters'],
+      maxlength: [500, 'Question cannot exceed 500 characters'],
+    },
+    answers: [answerSchema],
+    // Published answers only
+    answerCount: { type: Number, default: 0 },
+    // False until the seller has a published answer — drives the seller's pending inbox
+    sellerAnswered: { type: Boolean, default: false },
+    status: { type: String, enum: ['published', 'hidden'], default: 'published' },
+  },
+  { timestamps: true }
+);
+
+questionSchema.index({ product: 1, status: 1, createdAt: -1 });
+questionSchema.index({ seller: 1, sellerAnswered: 1, status: 1, createdAt: -1 });
+questionSchema.index({ user: 1 });
+questionSchema.index({ 'answers.user': 1 });
+
+// Keep the denormalised counters in step with the answers array
+questionSchema.pre('save', function (next) {
+  const published = this.answers.filter(answer => answer.status === 'published');
+  this.answerCount = published.length;
+  this.sellerAnswered = published.some(answer => answer.role === 'seller');
+  next();
+});
+
+module.exports = mongoose.model('Question', questionSchema);
@@ -14,6 +14,15 @@ const refreshTokenSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    family: {
+      type: String,
+      default: '',
+      index: true,
+    },
+    sessionStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
     expiresAt: {
       type: Date,
       required: true,
@@ -22,6 +31,11 @@ const refreshTokenSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    revokedReason: {
+      type: String,
+      enum: ['', 'rotated', 'logout', 'reuse_detected', 'session_revoked', 'admin_revoked', 'credentials_changed', 'account_deleted'],
+      default: '',
+    },
     replacedByTokenHash: {
       type: String,
       default: '',
@@ -40,4 +54,84 @@ const refreshTokenSchema = new mongoose.Schema(
 
 refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+// Static: revoke every still-active token descended from the given one.
+// Tokens issued before family tracking have no family, so follow the rotation chain instead.
+refreshTokenSchema.statics.revokeFamily = async function (tokenDoc, reason) {
+  const userId = tokenDoc.user?._id || tokenDoc.user;
+  const revokedAt = new Date();
+
+  if (tokenDoc.family) {
+    const result = await this.updateMany(
+      { user: userId, family: tokenDoc.family, revokedAt: null },
+      { revokedAt, revokedReason: reason }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  let revokedCount = 0;
+  let nextHash = tokenDoc.replacedByTokenHash;
+  const seen = new Set();
+  while (nextHash && !seen.has(nextHash)) {
+    seen.add(nextHash);
+    const next = await this.findOne({ user: userId, tokenHash: nextHash });
+    if (!next) break;
+    if (!next.revokedAt) {
+      next.revokedAt = revokedAt;
+      next.revokedReason = reason;
+      await next.save();
+      revokedCount += 1;
+    }
+    nextHash = next.replacedByTokenHash;
+  }
+  return revokedCount;
+};
+
+// Static: list live sessions for a user. Each family is one session; its
+// only unrevoked token is the latest rotation, so createdAt doubles as "last used".
+refreshTokenSchema.statics.findActiveSessions = async function (userId) {
+  const tokens = await this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  return tokens.map((token) => ({
+    id: token.family || token._id.toString(),
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    createdAt: token.sessionStartedAt || token.createdAt,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt,
+  }));
+};
+
+// Session ids are the family, or the token _id for tokens that predate families
+function sessionMatch(sessionId) {
+  const match = [{ family: sessionId }];
+  if (mongoose.Types.ObjectId.isValid(sessionId)) {
+    match.push({ _id: sessionId });
+  }
+  return match;
+}
+
+// Static: revoke one session by the id returned from findActiveSessions
+refreshTokenSchema.statics.revokeSession = async function (userId, sessionId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null, $or: sessionMatch(sessionId) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount || 0;
+};
+
+// Static: revoke all of a user's sessions, optionally keeping one session alive
+refreshTokenSchema.statics.revokeAllForUser = async function (userId, reason, exceptSessionId = '') {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter.$nor = sessionMatch(exceptSessionId);
+  }
+
+  const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount || 0;
+};
+
 module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One document per distinct (normalised) search, used to rank autocomplete suggestions
+const searchQuerySchema = new mongoose.Schema(
+  {
+    query: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Hits for the most recent search; queries that find nothing are never suggested
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+searchQuerySchema.index({ count: -1 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
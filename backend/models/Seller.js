@@ -60,6 +60,12 @@ const sellerSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending',
   },
+  // Why the application was last rejected; kept while a resubmission waits for review
+  rejectionReasons: [{
+    _id: false,
+    code: String,
+    label: String,
+  }],
   approvalNote: {
     type: String,
     default: '',
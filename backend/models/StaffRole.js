@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { STAFF_PERMISSIONS } = require('../config/permissions');
+
+const staffRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      maxlength: [50, 'Role name cannot exceed 50 characters'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    permissions: [{
+      type: String,
+      enum: {
+        values: STAFF_PERMISSIONS,
+        message: 'The "{VALUE}" permission cannot be granted to a staff role',
+      },
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('StaffRole', staffRoleSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// In-app notice to a seller that an order took a product (or SKU) down to its low-stock
+// threshold, or sold it out. The seller is emailed the same alerts.
+const stockAlertSchema = new mongoose.Schema(
+  {
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Copied in so the alert still reads right after a rename
+    name: {
+      type: String,
+      default: '',
+    },
+    variantLabel: {
+      type: String,
+      default: '',
+    },
+    kind: {
+      type: String,
+      enum: ['low', 'out'],
+      required: true,
+    },
+    stock: {
+      type: Number,
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+stockAlertSchema.index({ seller: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
@@ -33,6 +33,9 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required'],
     match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit Indian phone number'],
+    // Phone OTP login looks accounts up by number
+    unique: true,
+    sparse: true,
   },
   password: {
     type: String,
@@ -42,9 +45,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['buyer', 'seller', 'admin'],
+    enum: ['buyer', 'seller', 'admin', 'staff'],
     default: 'buyer',
   },
+  // Only used by `staff` accounts; `admin` accounts have every permission
+  staffRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffRole',
+    default: null,
+  },
   avatar: {
     type: String,
     default: '',
@@ -62,6 +71,61 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Set when the owner deletes the account; personal data has been anonymised
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false,
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  passwordChangedAt: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  // Consecutive lockouts without a successful login; each one doubles the lock duration
+  lockoutCount: {
+    type: Number,
+    default: 0,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  // Set by an admin to force enrollment; TWO_FACTOR_REQUIRED_ROLES covers whole roles
+  twoFactorRequired: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false,
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
 }, { timestamps: true });
@@ -79,12 +143,24 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether failed logins have locked the account right now
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpire;
+  delete user.tokenVersion;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpire;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorBackupCodes;
+  delete user.twoFactorLastUsedStep;
   return user;
 };
 
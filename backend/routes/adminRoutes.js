@@ -1,12 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const roleGuard = require('../middleware/roleGuard');
+const { requireStepUp, requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission } = require('../middleware/permissions');
+
+// Staff may only act on buyer and seller accounts; admin and staff accounts are left to super-admins
+const guardPrivilegedAccount = async (req, res, next) => {
+  if (req.user.role === 'admin') return next();
+  try {
+    const User = require('../models/User');
+    const target = await User.findById(req.params.id).select('role');
+    if (target && !['buyer', 'seller'].includes(target.role)) {
+      return res.status(403).json({ success: false, message: 'Only super-admins can manage admin and staff accounts' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
 
 // @desc    Get admin dashboard stats
 // @route   GET /api/admin/dashboard
-// @access  Private (Admin only)
-router.get('/dashboard', protect, roleGuard('admin'), async (req, res) => {
+// @access  Private (dashboard.view permission)
+router.get('/dashboard', protect, requirePermission('dashboard.view'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const User = require('../models/User');
     const Seller = require('../models/Seller');
@@ -16,7 +32,7 @@ router.get('/dashboard', protect, roleGuard('admin'), async (req, res) => {
     const totalSellers = await User.countDocuments({ role: 'seller' });
     const pendingSellers = await Seller.countDocuments({ isApproved: 'pending' });
     const approvedSellers = await Seller.countDocuments({ isApproved: 'approved' });
-    const totalProducts = await Product.countDocuments();
+    const totalProducts = await Product.countDocuments({ archivedAt: null });
     const pendingProducts = await Product.countDocuments({ isApproved: 'pending' });
 
     // Try to get order stats if Order model exists
@@ -48,8 +64,8 @@ router.get('/dashboard', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private (Admin only)
-router.get('/users', protect, roleGuard('admin'), async (req, res) => {
+// @access  Private (users.read permission)
+router.get('/users', protect, requirePermission('users.read'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const User = require('../models/User');
     const { role, search, page = 1, limit = 20 } = req.query;
@@ -81,8 +97,8 @@ router.get('/users', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Block/Unblock user
 // @route   PUT /api/admin/users/:id/block
-// @access  Private (Admin only)
-router.put('/users/:id/block', protect, roleGuard('admin'), async (req, res) => {
+// @access  Private (users.block permission, step-up)
+router.put('/users/:id/block', protect, requirePermission('users.block'), requireTwoFactorEnrollment, requireStepUp(), guardPrivilegedAccount, async (req, res) => {
   try {
     const User = require('../models/User');
     const user = await User.findById(req.params.id);
@@ -94,6 +110,11 @@ router.put('/users/:id/block', protect, roleGuard('admin'), async (req, res) =>
     user.isBlocked = !user.isBlocked;
     await user.save();
 
+    if (user.isBlocked) {
+      const { onCredentialsChanged } = require('../services/credentialService');
+      await onCredentialsChanged(user, { reason: 'account_blocked', req });
+    }
+
     res.json({
       success: true,
       message: `User ${user.isBlocked ? 'blocked' : 'unblocked'} successfully`,
@@ -104,10 +125,302 @@ router.put('/users/:id/block', protect, roleGuard('admin'), async (req, res) =>
   }
 });
 
-// @desc    Get all sellers (with approval status)
+// @desc    Clear a user's failed-login lockout
+// @route   DELETE /api/admin/users/:id/lockout
+// @access  Private (users.security permission)
+router.delete('/users/:id/lockout', protect, requirePermission('users.security'), requireTwoFactorEnrollment, guardPrivilegedAccount, async (req, res) => {
+  try {
+    const { clearLockout } = require('../services/loginSecurityService');
+    const user = await clearLockout(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, message: 'Lockout cleared. The user can sign in again.', data: user });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get a user's recent login history
+// @route   GET /api/admin/users/:id/login-history
+// @access  Private (users.read permission)
+router.get('/users/:id/login-history', protect, requirePermission('users.read'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const LoginHistory = require('../models/LoginHistory');
+    const { describeUserAgent } = require('../utils/helpers');
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const history = await LoginHistory.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: history.map(entry => ({
+        id: entry._id,
+        success: entry.success,
+        failureReason: entry.failureReason,
+        method: entry.method,
+        twoFactorMethod: entry.twoFactorMethod,
+        ipAddress: entry.ipAddress,
+        device: describeUserAgent(entry.userAgent),
+        newDevice: entry.newDevice,
+        createdAt: entry.createdAt,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Start a short-lived "view as user" session for a buyer or seller
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users.impersonate permission)
+router.post('/users/:id/impersonate', protect, requirePermission('users.impersonate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const ImpersonationSession = require('../models/ImpersonationSession');
+    const { generateImpersonationToken } = require('../middleware/auth');
+    const logger = require('../utils/logger');
+
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Please give a reason for viewing as this user' });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!['buyer', 'seller'].includes(target.role)) {
+      return res.status(403).json({ success: false, message: 'Only buyer and seller accounts can be viewed as' });
+    }
+    if (target.isBlocked) {
+      return res.status(400).json({ success: false, message: 'Blocked accounts cannot be viewed as' });
+    }
+
+    const minutes = Number(process.env.IMPERSONATION_EXPIRE_MINUTES || 15);
+    const session = await ImpersonationSession.create({
+      impersonator: req.user._id,
+      targetUser: target._id,
+      reason,
+      ipAddress: req.ip || req.connection?.remoteAddress || '',
+      userAgent: req.headers['user-agent'] || '',
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    logger.warn('Security event: impersonation started', {
+      impersonatorId: String(req.user._id),
+      userId: String(target._id),
+      sessionId: String(session._id),
+    });
+
+    let seller = null;
+    if (target.role === 'seller') {
+      const Seller = require('../models/Seller');
+      seller = await Seller.findOne({ userId: target._id })
+        .select(req.permissions.includes('payouts.read') ? '' : '-bankDetails');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${target.name} for ${minutes} minutes`,
+      data: {
+        token: generateImpersonationToken(target, req.user, session),
+        user: target,
+        seller,
+        impersonation: {
+          sessionId: session._id,
+          impersonator: { _id: req.user._id, name: req.user.name, email: req.user.email },
+          expiresAt: session.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    End one of your own "view as user" sessions
+// @route   POST /api/admin/impersonations/:id/end
+// @access  Private (users.impersonate permission)
+router.post('/impersonations/:id/end', protect, requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const ImpersonationSession = require('../models/ImpersonationSession');
+
+    const session = await ImpersonationSession.findOneAndUpdate(
+      { _id: req.params.id, impersonator: req.user._id, endedAt: null },
+      { endedAt: new Date() },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found or already ended' });
+    }
+
+    res.json({ success: true, message: 'Stopped viewing as user' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Audit log of "view as user" sessions (filter by ?user= or ?impersonator=)
+// @route   GET /api/admin/impersonations
+// @access  Private (users.impersonate permission)
+router.get('/impersonations', protect, requirePermission('users.impersonate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const ImpersonationSession = require('../models/ImpersonationSession');
+    const { user, impersonator, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (user) query.targetUser = user;
+    if (impersonator) query.impersonator = impersonator;
+
+    const sessions = await ImpersonationSession.find(query)
+      .populate('impersonator', 'name email')
+      .populate('targetUser', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await ImpersonationSession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: { sessions, total, page: parseInt(page), pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Require (or stop requiring) 2FA for a user
+// @route   PUT /api/admin/users/:id/two-factor
+// @access  Private (users.security permission, step-up)
+router.put('/users/:id/two-factor', protect, requirePermission('users.security'), requireTwoFactorEnrollment, requireStepUp(), guardPrivilegedAccount, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { twoFactorRequired: Boolean(req.body.required) },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: user.twoFactorRequired
+        ? 'Two-factor authentication is now required for this user'
+        : 'Two-factor authentication is no longer required for this user',
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Reset a user's 2FA (lost device) and sign them out everywhere
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private (users.security permission, step-up)
+router.delete('/users/:id/two-factor', protect, requirePermission('users.security'), requireTwoFactorEnrollment, requireStepUp(), guardPrivilegedAccount, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        twoFactorEnabled: false,
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorBackupCodes: 1,
+          twoFactorLastUsedStep: 1,
+        },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { onCredentialsChanged } = require('../services/credentialService');
+    await onCredentialsChanged(user, { reason: 'two_factor_reset', req });
+
+    res.json({ success: true, message: 'Two-factor authentication reset. The user must set it up again.', data: user });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    List a user's active sessions
+// @route   GET /api/admin/users/:id/sessions
+// @access  Private (users.read permission)
+router.get('/users/:id/sessions', protect, requirePermission('users.read'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const RefreshToken = require('../models/RefreshToken');
+    const { describeUserAgent } = require('../utils/helpers');
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const sessions = await RefreshToken.findActiveSessions(user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({ ...session, device: describeUserAgent(session.userAgent) })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Sign out one of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions/:sessionId
+// @access  Private (users.security permission)
+router.delete('/users/:id/sessions/:sessionId', protect, requirePermission('users.security'), requireTwoFactorEnrollment, guardPrivilegedAccount, async (req, res) => {
+  try {
+    const RefreshToken = require('../models/RefreshToken');
+    const revokedCount = await RefreshToken.revokeSession(req.params.id, req.params.sessionId, 'admin_revoked');
+
+    if (!revokedCount) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Sign out all of a user's sessions
+// @route   DELETE /api/admin/users/:id/sessions
+// @access  Private (users.security permission)
+router.delete('/users/:id/sessions', protect, requirePermission('users.security'), requireTwoFactorEnrollment, guardPrivilegedAccount, async (req, res) => {
+  try {
+    const RefreshToken = require('../models/RefreshToken');
+    const revokedCount = await RefreshToken.revokeAllForUser(req.params.id, 'admin_revoked');
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revokedCount} session(s)`,
+      data: { revokedCount },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Get all sellers (with approval status); bank details only with payouts.read
 // @route   GET /api/admin/sellers
-// @access  Private (Admin only)
-router.get('/sellers', protect, roleGuard('admin'), async (req, res) => {
+// @access  Private (sellers.read permission)
+router.get('/sellers', protect, requirePermission('sellers.read'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const Seller = require('../models/Seller');
     const { status, page = 1, limit = 20 } = req.query;
@@ -116,6 +429,7 @@ router.get('/sellers', protect, roleGuard('admin'), async (req, res) => {
     if (status) query.isApproved = status;
 
     const sellers = await Seller.find(query)
+      .select(req.permissions.includes('payouts.read') ? '' : '-bankDetails')
       .populate('userId', 'name email phone avatar isBlocked')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -132,26 +446,70 @@ router.get('/sellers', protect, roleGuard('admin'), async (req, res) => {
   }
 });
 
-// @desc    Approve/Reject seller
+// @desc    Reason codes a seller application can be rejected with
+// @route   GET /api/admin/sellers/rejection-reasons
+// @access  Private (sellers.read permission)
+router.get('/sellers/rejection-reasons', protect, requirePermission('sellers.read'), requireTwoFactorEnrollment, (req, res) => {
+  const { listRejectionReasons } = require('../services/moderationService');
+  res.json({ success: true, data: listRejectionReasons('seller') });
+});
+
+// @desc    Moderation history of a seller application, newest first
+// @route   GET /api/admin/sellers/:id/moderation
+// @access  Private (sellers.read permission)
+router.get('/sellers/:id/moderation', protect, requirePermission('sellers.read'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { getModerationHistory } = require('../services/moderationService');
+    const events = await getModerationHistory('seller', req.params.id);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Approve/Reject seller; rejections need reason codes, the seller is emailed
 // @route   PUT /api/admin/sellers/:id/approve
-// @access  Private (Admin only)
-router.put('/sellers/:id/approve', protect, roleGuard('admin'), async (req, res) => {
+// @access  Private (sellers.approve permission)
+router.put('/sellers/:id/approve', protect, requirePermission('sellers.approve'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const Seller = require('../models/Seller');
-    const { status, note } = req.body; // status: 'approved' or 'rejected'
+    const { parseDecision, applyDecision, recordModeration, notifyDecision } = require('../services/moderationService');
+    const decision = parseDecision('seller', req.body); // status: 'approved' or 'rejected'
+    if (decision.error) {
+      return res.status(400).json({ success: false, message: decision.error });
+    }
 
     const seller = await Seller.findById(req.params.id);
     if (!seller) {
       return res.status(404).json({ success: false, message: 'Seller not found' });
     }
 
-    seller.isApproved = status;
-    seller.approvalNote = note || '';
+    const { isEmailVerificationRequired } = require('../middleware/verifiedEmail');
+    if (decision.status === 'approved' && isEmailVerificationRequired('seller_approval')) {
+      const User = require('../models/User');
+      const sellerUser = await User.findById(seller.userId).select('isEmailVerified');
+      if (!sellerUser?.isEmailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'This seller has not verified their email address yet',
+        });
+      }
+    }
+
+    applyDecision(seller, decision);
     await seller.save();
+    await recordModeration('seller', seller, {
+      owner: seller.userId,
+      action: decision.status,
+      reasons: decision.reasons,
+      note: decision.note,
+      actor: req.user._id,
+    });
+    notifyDecision('seller', seller, decision);
 
     res.json({
       success: true,
-      message: `Seller ${status} successfully`,
+      message: `Seller ${decision.status} successfully`,
       data: seller,
     });
   } catch (error) {
@@ -159,4 +517,193 @@ router.put('/sellers/:id/approve', protect, roleGuard('admin'), async (req, res)
   }
 });
 
+// Staff roles can't include admin-only permissions such as staff.manage
+const invalidStaffPermissionsResponse = (res, permissions) => {
+  const { STAFF_PERMISSIONS } = require('../config/permissions');
+  const invalid = permissions.filter(permission => !STAFF_PERMISSIONS.includes(permission));
+  if (invalid.length === 0) return null;
+  return res.status(400).json({
+    success: false,
+    message: `These permissions cannot be granted to a staff role: ${invalid.join(', ')}`,
+  });
+};
+
+// @desc    List every permission that can be granted to a staff role
+// @route   GET /api/admin/permissions
+// @access  Private (staff.manage permission, super-admins only)
+router.get('/permissions', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, (req, res) => {
+  const { PERMISSIONS, STAFF_PERMISSIONS } = require('../config/permissions');
+  res.json({
+    success: true,
+    data: STAFF_PERMISSIONS.map(key => ({ key, description: PERMISSIONS[key] })),
+  });
+});
+
+// @desc    List staff roles with how many users hold each
+// @route   GET /api/admin/staff-roles
+// @access  Private (staff.manage permission, super-admins only)
+router.get('/staff-roles', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const StaffRole = require('../models/StaffRole');
+    const User = require('../models/User');
+
+    const roles = await StaffRole.find().sort('name');
+    const counts = await User.aggregate([
+      { $match: { role: 'staff', staffRole: { $ne: null } } },
+      { $group: { _id: '$staffRole', count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({ ...role.toObject(), memberCount: countMap.get(String(role._id)) || 0 })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Create a staff role
+// @route   POST /api/admin/staff-roles
+// @access  Private (staff.manage permission, super-admins only)
+router.post('/staff-roles', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const StaffRole = require('../models/StaffRole');
+    const { name, description, permissions } = req.body;
+    if (Array.isArray(permissions) && invalidStaffPermissionsResponse(res, permissions)) return;
+
+    const role = await StaffRole.create({
+      name,
+      description: description || '',
+      permissions: Array.isArray(permissions) ? [...new Set(permissions)] : [],
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({ success: true, message: 'Staff role created', data: role });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A staff role with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update a staff role (changes apply to its members immediately)
+// @route   PUT /api/admin/staff-roles/:id
+// @access  Private (staff.manage permission, super-admins only)
+router.put('/staff-roles/:id', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const StaffRole = require('../models/StaffRole');
+    const updates = {};
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (Array.isArray(req.body.permissions)) {
+      if (invalidStaffPermissionsResponse(res, req.body.permissions)) return;
+      updates.permissions = [...new Set(req.body.permissions)];
+    }
+
+    const role = await StaffRole.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Staff role not found' });
+    }
+
+    res.json({ success: true, message: 'Staff role updated', data: role });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A staff role with this name already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(e => e.message).join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a staff role that nobody holds
+// @route   DELETE /api/admin/staff-roles/:id
+// @access  Private (staff.manage permission, super-admins only)
+router.delete('/staff-roles/:id', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const StaffRole = require('../models/StaffRole');
+    const User = require('../models/User');
+
+    const members = await User.countDocuments({ role: 'staff', staffRole: req.params.id });
+    if (members > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This role is assigned to ${members} staff member${members === 1 ? '' : 's'}. Reassign them first.`,
+      });
+    }
+
+    const role = await StaffRole.findByIdAndDelete(req.params.id);
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Staff role not found' });
+    }
+
+    res.json({ success: true, message: 'Staff role deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    List staff members
+// @route   GET /api/admin/staff
+// @access  Private (staff.manage permission, super-admins only)
+router.get('/staff', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const staff = await User.find({ role: 'staff' })
+      .populate('staffRole', 'name permissions')
+      .sort('name');
+
+    res.json({ success: true, data: staff });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Make a buyer account staff with a role, change its role, or remove it from staff
+// @route   PUT /api/admin/users/:id/staff-role
+// @access  Private (staff.manage permission, super-admins only)
+router.put('/users/:id/staff-role', protect, requirePermission('staff.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const StaffRole = require('../models/StaffRole');
+    const { staffRoleId } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!['buyer', 'staff'].includes(user.role)) {
+      return res.status(400).json({ success: false, message: 'Only buyer accounts can be made staff' });
+    }
+
+    if (!staffRoleId) {
+      user.role = 'buyer';
+      user.staffRole = null;
+    } else {
+      const role = await StaffRole.findById(staffRoleId);
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'Staff role not found' });
+      }
+      user.role = 'staff';
+      user.staffRole = role._id;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: user.role === 'staff' ? 'Staff role assigned' : 'User removed from staff',
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
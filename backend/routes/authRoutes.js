@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { protect } = require('../middleware/auth');
+const roleGuard = require('../middleware/roleGuard');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
 const {
   registerBuyer,
   registerSeller,
@@ -11,7 +13,25 @@ const {
   resetPassword,
   refreshAccessToken,
   logoutUser,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  requestLoginOtp,
+  verifyLoginOtp,
+  sendPhoneVerificationOtp,
+  verifyPhone,
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyTwoFactorLogin,
+  stepUp,
+} = require('../controllers/twoFactorController');
 
 // Validation rules
 const registerValidation = [
@@ -34,6 +54,10 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
+const phoneValidation = body('phone').matches(/^[6-9]\d{9}$/).withMessage('Please enter a valid 10-digit Indian phone number');
+const otpValidation = body('otp').matches(/^\d{6}$/).withMessage('OTP must be 6 digits');
+const totpValidation = body('code').matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits');
+
 // Routes
 router.post('/register', registerValidation, registerBuyer);
 router.post('/register-seller', sellerRegisterValidation, registerSeller);
@@ -48,7 +72,29 @@ router.post('/reset-password',
   body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   resetPassword
 );
+router.post('/verify-email',
+  body('token').notEmpty().withMessage('Verification token is required'),
+  verifyEmail
+);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/otp/request', phoneValidation, requestLoginOtp);
+router.post('/otp/verify', phoneValidation, otpValidation, verifyLoginOtp);
+router.post('/phone/send-otp', protect, blockWhileImpersonating('change the phone number'), sendPhoneVerificationOtp);
+router.post('/phone/verify', protect, blockWhileImpersonating('change the phone number'), otpValidation, verifyPhone);
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, roleGuard('seller', 'admin', 'staff'), blockWhileImpersonating('change two-factor settings'), setupTwoFactor);
+router.post('/2fa/enable', protect, roleGuard('seller', 'admin', 'staff'), blockWhileImpersonating('change two-factor settings'), totpValidation, enableTwoFactor);
+router.post('/2fa/disable', protect, blockWhileImpersonating('change two-factor settings'), disableTwoFactor);
+router.post('/2fa/backup-codes', protect, blockWhileImpersonating('change two-factor settings'), totpValidation, regenerateBackupCodes);
+router.post('/2fa/login',
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  verifyTwoFactorLogin
+);
+router.post('/step-up', protect, blockWhileImpersonating('re-authenticate'), stepUp);
 router.post('/refresh', refreshAccessToken);
 router.post('/logout', logoutUser);
+router.get('/sessions', protect, listSessions);
+router.post('/sessions/revoke-others', protect, blockWhileImpersonating('sign out sessions'), revokeOtherSessions);
+router.delete('/sessions/:id', protect, blockWhileImpersonating('sign out sessions'), revokeSession);
 
 module.exports = router;
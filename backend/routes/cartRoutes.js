@@ -4,6 +4,54 @@ const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { resolvePrice, refreshCartPrices } = require('../services/dealService');
+
+const CART_PRODUCT_FIELDS = 'name slug images price mrp stock isActive archivedAt seller variants skus';
+
+// Works out what the buyer picked. Products with SKUs need a valid, active variant;
+// plain products only accept sizes / colours they actually list.
+function resolveSelection(product, { variantId, options, size = '', color = '' }) {
+  if (product.hasVariants()) {
+    const variant = product.findVariant({ variantId, options, size, color });
+    if (!variant || !variant.isActive) {
+      const names = product.variants.map(axis => axis.name.toLowerCase()).join(' and ');
+      return { error: `Please select a valid ${names}` };
+    }
+    const optionValue = (name) => {
+      const entry = Array.from(variant.options.entries()).find(([key]) => key.toLowerCase() === name);
+      return entry ? entry[1] : '';
+    };
+    return {
+      variant,
+      size: optionValue('size'),
+      color: optionValue('color'),
+      stock: variant.stock,
+    };
+  }
+
+  if (product.sizes.length > 0 && !product.sizes.includes(size)) {
+    return { error: 'Please select a valid size' };
+  }
+  if (color && !product.colors.some(c => c.name === color)) {
+    return { error: 'Please select a valid color' };
+  }
+  return {
+    variant: null,
+    size: product.sizes.length > 0 ? size : '',
+    color,
+    stock: product.stock,
+  };
+}
+
+// A cart line is stale once its product is off sale or its variant no longer matches what is on sale
+function isCartItemAvailable(item) {
+  const product = item.product;
+  if (!product || !product.isActive) return false;
+  if (!product.hasVariants()) return !item.variant;
+  if (!item.variant) return false;
+  const variant = product.skus.id(item.variant);
+  return Boolean(variant && variant.isActive);
+}
 
 // @desc    Get user's cart
 // @route   GET /api/cart
@@ -11,7 +59,7 @@ router.get('/', protect, roleGuard('buyer'), async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id }).populate({
       path: 'items.product',
-      select: 'name slug images price mrp stock isActive seller',
+      select: CART_PRODUCT_FIELDS,
       populate: { path: 'seller', select: 'name' },
     });
 
@@ -19,11 +67,14 @@ router.get('/', protect, roleGuard('buyer'), async (req, res) => {
       cart = await Cart.create({ user: req.user._id, items: [] });
     }
 
-    // Remove items where product was deleted or deactivated
-    cart.items = cart.items.filter(item => item.product && item.product.isActive);
+    // Lines whose product was purged can't be shown; the rest stay, flagged if they can't be bought
+    cart.items = cart.items.filter(item => item.product);
+    cart.items.forEach((item) => { item.unavailable = !isCartItemAvailable(item); });
+    // Deals start and end while items sit in the cart
+    const notices = await refreshCartPrices(cart, req.user._id);
     await cart.save();
 
-    res.json({ success: true, data: cart });
+    res.json({ success: true, data: cart, notices });
   } catch (error) {
     console.error('Cart GET error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -34,15 +85,21 @@ router.get('/', protect, roleGuard('buyer'), async (req, res) => {
 // @route   POST /api/cart
 router.post('/', protect, roleGuard('buyer'), async (req, res) => {
   try {
-    const { productId, quantity = 1, size = '', color = '' } = req.body;
+    const { productId, quantity = 1, variantId, options, size = '', color = '' } = req.body;
 
     const product = await Product.findById(productId);
     if (!product || !product.isActive) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
-    if (product.stock < quantity) {
+
+    const selection = resolveSelection(product, { variantId, options, size, color });
+    if (selection.error) {
+      return res.status(400).json({ success: false, message: selection.error, data: { variants: product.variants } });
+    }
+    if (selection.stock < quantity) {
       return res.status(400).json({ success: false, message: 'Insufficient stock' });
     }
+    const variantKey = selection.variant ? selection.variant._id.toString() : '';
 
     let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
@@ -50,21 +107,44 @@ router.post('/', protect, roleGuard('buyer'), async (req, res) => {
     }
 
     // Check if item already in cart
-    const existingIdx = cart.items.findIndex(
-      item => item.product.toString() === productId && item.size === size && item.color === color
-    );
+    const existingIdx = cart.items.findIndex(item => (
+      item.product.toString() === productId
+      && (item.variant ? item.variant.toString() : '') === variantKey
+      && item.size === selection.size
+      && item.color === selection.color
+    ));
+
+    const lineQuantity = existingIdx > -1
+      ? Math.min(cart.items[existingIdx].quantity + quantity, selection.stock)
+      : quantity;
+    const pricing = await resolvePrice({ product, variant: selection.variant, quantity: lineQuantity, userId: req.user._id });
+    if (pricing.error) {
+      return res.status(400).json({ success: false, message: pricing.error });
+    }
+    const priceFields = {
+      price: pricing.price,
+      mrp: pricing.mrp,
+      deal: pricing.deal ? pricing.deal._id : null,
+      dealEndsAt: pricing.deal ? pricing.deal.endsAt : null,
+    };
 
     if (existingIdx > -1) {
-      cart.items[existingIdx].quantity += quantity;
-      if (cart.items[existingIdx].quantity > product.stock) {
-        cart.items[existingIdx].quantity = product.stock;
-      }
+      cart.items[existingIdx].quantity = lineQuantity;
+      cart.items[existingIdx].set({ ...priceFields, unavailable: false });
     } else {
-      cart.items.push({ product: productId, quantity, size, color, price: product.price, mrp: product.mrp });
+      cart.items.push({
+        product: productId,
+        quantity,
+        variant: selection.variant ? selection.variant._id : null,
+        variantLabel: selection.variant ? selection.variant.label : '',
+        size: selection.size,
+        color: selection.color,
+        ...priceFields,
+      });
     }
 
     await cart.save();
-    await cart.populate({ path: 'items.product', select: 'name slug images price mrp stock isActive seller' });
+    await cart.populate({ path: 'items.product', select: CART_PRODUCT_FIELDS });
 
     res.json({ success: true, message: 'Added to cart', data: cart });
   } catch (error) {
@@ -85,15 +165,31 @@ router.put('/:itemId', protect, roleGuard('buyer'), async (req, res) => {
     if (!item) return res.status(404).json({ success: false, message: 'Item not found in cart' });
 
     const product = await Product.findById(item.product);
-    if (quantity > product.stock) {
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+    if (!product.isActive) {
+      return res.status(400).json({ success: false, message: 'This product is no longer available' });
+    }
+
+    const variant = item.variant ? product.skus.id(item.variant) : null;
+    if (item.variant && (!variant || !variant.isActive)) {
+      return res.status(400).json({ success: false, message: 'This option is no longer available' });
+    }
+    const source = variant || product;
+    if (quantity > source.stock) {
       return res.status(400).json({ success: false, message: 'Insufficient stock' });
     }
+    const pricing = await resolvePrice({ product, variant, quantity, userId: req.user._id });
+    if (pricing.error) {
+      return res.status(400).json({ success: false, message: pricing.error });
+    }
 
     item.quantity = quantity;
-    item.price = product.price;
-    item.mrp = product.mrp;
+    item.price = pricing.price;
+    item.mrp = pricing.mrp;
+    item.deal = pricing.deal ? pricing.deal._id : null;
+    item.dealEndsAt = pricing.deal ? pricing.deal.endsAt : null;
     await cart.save();
-    await cart.populate({ path: 'items.product', select: 'name slug images price mrp stock isActive seller' });
+    await cart.populate({ path: 'items.product', select: CART_PRODUCT_FIELDS });
 
     res.json({ success: true, data: cart });
   } catch (error) {
@@ -110,7 +206,7 @@ router.delete('/:itemId', protect, roleGuard('buyer'), async (req, res) => {
 
     cart.items = cart.items.filter(item => item._id.toString() !== req.params.itemId);
     await cart.save();
-    await cart.populate({ path: 'items.product', select: 'name slug images price mrp stock isActive seller' });
+    await cart.populate({ path: 'items.product', select: CART_PRODUCT_FIELDS });
 
     res.json({ success: true, message: 'Item removed', data: cart });
   } catch (error) {
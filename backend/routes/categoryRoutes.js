@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission } = require('../middleware/permissions');
 const Category = require('../models/Category');
+const { slugFilter, saveWithFreeSlug } = require('../utils/slugs');
 
 // ───────────────────────────────────────────────
 // PUBLIC ROUTES
@@ -34,18 +36,22 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @desc    Get single category by slug
+// @desc    Get single category by current or previous slug
 // @route   GET /api/categories/:slug
 router.get('/:slug', async (req, res) => {
   try {
-    const category = await Category.findOne({ slug: req.params.slug })
+    const category = await Category.findOne(slugFilter(req.params.slug))
       .populate('subcategories', 'name slug icon productCount isActive');
 
     if (!category) {
       return res.status(404).json({ success: false, message: 'Category not found' });
     }
 
-    res.json({ success: true, data: category });
+    res.json({
+      success: true,
+      data: category,
+      ...(category.slug !== req.params.slug ? { redirect: { slug: category.slug } } : {}),
+    });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -57,7 +63,7 @@ router.get('/:slug', async (req, res) => {
 
 // @desc    Create category
 // @route   POST /api/categories
-router.post('/', protect, roleGuard('admin'), async (req, res) => {
+router.post('/', protect, requirePermission('categories.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const { name, description, icon, image, parent, sortOrder } = req.body;
 
@@ -70,14 +76,14 @@ router.post('/', protect, roleGuard('admin'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Category already exists' });
     }
 
-    const category = await Category.create({
+    const category = await saveWithFreeSlug(new Category({
       name: name.trim(),
       description: description || '',
       icon: icon || '📦',
       image: image || '',
       parent: parent || null,
       sortOrder: sortOrder || 0,
-    });
+    }));
 
     res.status(201).json({ success: true, message: 'Category created', data: category });
   } catch (error) {
@@ -90,7 +96,7 @@ router.post('/', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-router.put('/:id', protect, roleGuard('admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('categories.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const { name, description, icon, image, parent, isActive, sortOrder } = req.body;
 
@@ -118,7 +124,7 @@ router.put('/:id', protect, roleGuard('admin'), async (req, res) => {
     if (isActive !== undefined) category.isActive = isActive;
     if (sortOrder !== undefined) category.sortOrder = sortOrder;
 
-    await category.save();
+    await saveWithFreeSlug(category);
 
     res.json({ success: true, message: 'Category updated', data: category });
   } catch (error) {
@@ -128,7 +134,7 @@ router.put('/:id', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Delete category
 // @route   DELETE /api/categories/:id
-router.delete('/:id', protect, roleGuard('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('categories.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     if (!category) {
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Coupon = require('../models/Coupon');
 const { protect } = require('../middleware/auth');
-const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission } = require('../middleware/permissions');
 
 // @desc    Validate coupon (buyer)
 // @route   POST /api/coupons/validate
@@ -34,7 +35,7 @@ router.post('/validate', protect, async (req, res) => {
 
 // @desc    Get all coupons (admin)
 // @route   GET /api/coupons
-router.get('/', protect, roleGuard('admin'), async (req, res) => {
+router.get('/', protect, requirePermission('coupons.read'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const coupons = await Coupon.find().sort('-createdAt');
     res.json({ success: true, data: coupons });
@@ -45,7 +46,7 @@ router.get('/', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Create coupon (admin)
 // @route   POST /api/coupons
-router.post('/', protect, roleGuard('admin'), async (req, res) => {
+router.post('/', protect, requirePermission('coupons.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const allowed = ['code', 'description', 'type', 'value', 'minOrderAmount', 'maxDiscount', 'usageLimit', 'perUserLimit', 'validFrom', 'validTill', 'isActive', 'categories'];
     const payload = {};
@@ -69,7 +70,7 @@ router.post('/', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Update coupon (admin)
 // @route   PUT /api/coupons/:id
-router.put('/:id', protect, roleGuard('admin'), async (req, res) => {
+router.put('/:id', protect, requirePermission('coupons.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const allowed = ['description', 'type', 'value', 'minOrderAmount', 'maxDiscount', 'usageLimit', 'perUserLimit', 'validFrom', 'validTill', 'isActive', 'categories'];
     const updates = {};
@@ -91,7 +92,7 @@ router.put('/:id', protect, roleGuard('admin'), async (req, res) => {
 
 // @desc    Delete coupon (admin)
 // @route   DELETE /api/coupons/:id
-router.delete('/:id', protect, roleGuard('admin'), async (req, res) => {
+router.delete('/:id', protect, requirePermission('coupons.write'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     await Coupon.findByIdAndDelete(req.params.id);
     res.json({ success: true, message: 'Coupon deleted' });
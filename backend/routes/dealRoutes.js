@@ -0,0 +1,236 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Deal = require('../models/Deal');
+const Product = require('../models/Product');
+const { protect } = require('../middleware/auth');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission } = require('../middleware/permissions');
+const { liveFilter } = require('../services/dealService');
+
+const DEAL_PRODUCT_FIELDS = 'name slug images price mrp rating numReviews stock skus brand';
+const LISTED = { isActive: true, isApproved: 'approved' };
+
+// What the storefront needs to show a deal and count down to its start or end
+function presentDeal(deal, now) {
+  const product = deal.product;
+  const variant = deal.variant && product.skus ? product.skus.id(deal.variant) : null;
+  const source = variant || product;
+  const mrp = Math.max(source.mrp || 0, source.price);
+  return {
+    _id: deal._id,
+    title: deal.title,
+    status: deal.getStatus(now),
+    price: deal.price,
+    regularPrice: source.price,
+    mrp,
+    discount: mrp > deal.price ? Math.round(((mrp - deal.price) / mrp) * 100) : 0,
+    variant: deal.variant,
+    variantLabel: variant ? variant.label : '',
+    quantity: deal.quantity,
+    soldCount: deal.soldCount,
+    remaining: deal.quantity > 0 ? Math.max(deal.quantity - deal.soldCount, 0) : null,
+    perUserLimit: deal.perUserLimit,
+    startsAt: deal.startsAt,
+    endsAt: deal.endsAt,
+    product: {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      brand: product.brand,
+      image: product.images?.[0]?.url || '',
+      rating: product.rating,
+      numReviews: product.numReviews,
+    },
+  };
+}
+
+// Checks a deal's target, price and schedule. Returns an error message, or null when valid.
+async function validateDeal(deal) {
+  const product = await Product.findById(deal.product).select('name price skus isActive isApproved');
+  if (!product || !product.isActive || product.isApproved !== 'approved') return 'Product not found or not listed';
+
+  let source = product;
+  if (product.hasVariants()) {
+    source = deal.variant ? product.skus.id(deal.variant) : null;
+    if (!source) return 'Pick the variant this deal applies to';
+  } else if (deal.variant) {
+    return 'This product has no variants';
+  }
+  if (deal.price >= source.price) return `Deal price must be below the current price (₹${source.price})`;
+  if (deal.quantity > 0 && deal.quantity < deal.soldCount) {
+    return `Quantity cannot be lower than the ${deal.soldCount} already sold`;
+  }
+
+  const overlapping = await Deal.exists({
+    _id: { $ne: deal._id },
+    product: deal.product,
+    variant: deal.variant || null,
+    isActive: true,
+    startsAt: { $lt: deal.endsAt },
+    endsAt: { $gt: deal.startsAt },
+  });
+  if (overlapping) return 'Another deal for this product runs at the same time';
+  return null;
+}
+
+const EDITABLE_FIELDS = ['title', 'price', 'quantity', 'perUserLimit', 'startsAt', 'endsAt'];
+
+// @desc    Live and upcoming deals, soonest first
+// @route   GET /api/deals?status=live|upcoming
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const now = new Date();
+    const limit = Math.min(Number(req.query.limit) || 20, 50);
+    let filter = { isActive: true, endsAt: { $gt: now } };
+    if (req.query.status === 'live') filter = liveFilter(now);
+    if (req.query.status === 'upcoming') filter = { isActive: true, startsAt: { $gt: now } };
+
+    const deals = await Deal.find(filter)
+      .populate({ path: 'product', select: DEAL_PRODUCT_FIELDS, match: LISTED })
+      .sort({ startsAt: 1, endsAt: 1 })
+      .limit(limit * 2);
+
+    const data = deals
+      .filter(deal => deal.product)
+      .slice(0, limit)
+      .map(deal => presentDeal(deal, now));
+
+    // Clients count down against the server's clock
+    res.json({ success: true, serverTime: now, count: data.length, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Live and upcoming deals for one product (all its variants)
+// @route   GET /api/deals/product/:productId
+// @access  Public
+router.get('/product/:productId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+    const now = new Date();
+    const deals = await Deal.find({ product: req.params.productId, isActive: true, endsAt: { $gt: now } })
+      .populate({ path: 'product', select: DEAL_PRODUCT_FIELDS, match: LISTED })
+      .sort({ startsAt: 1 });
+
+    const data = deals.filter(deal => deal.product).map(deal => presentDeal(deal, now));
+    res.json({ success: true, serverTime: now, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    All deals (admin)
+// @route   GET /api/deals/admin/all?status=live|upcoming|ended|cancelled
+router.get('/admin/all', protect, requirePermission('deals.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const now = new Date();
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const filters = {
+      live: { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } },
+      upcoming: { isActive: true, startsAt: { $gt: now } },
+      ended: { isActive: true, endsAt: { $lte: now } },
+      cancelled: { isActive: false },
+    };
+    const filter = filters[req.query.status] || {};
+
+    const [deals, total] = await Promise.all([
+      Deal.find(filter)
+        .populate('product', DEAL_PRODUCT_FIELDS)
+        .sort('-startsAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Deal.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: deals.filter(deal => deal.product).map(deal => presentDeal(deal, now)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Schedule a deal (admin)
+// @route   POST /api/deals
+router.post('/', protect, requirePermission('deals.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    if (!mongoose.isValidObjectId(productId) || (variantId && !mongoose.isValidObjectId(variantId))) {
+      return res.status(400).json({ success: false, message: 'Invalid product or variant id' });
+    }
+
+    const deal = new Deal({ product: productId, variant: variantId || null, createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) deal[field] = req.body[field];
+    });
+    await deal.validate();
+    if (deal.endsAt <= new Date()) {
+      return res.status(400).json({ success: false, message: 'End time must be in the future' });
+    }
+
+    const problem = await validateDeal(deal);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await deal.save();
+    res.status(201).json({ success: true, message: 'Deal scheduled', data: deal });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const message = Object.values(error.errors || {})[0]?.message || 'Invalid deal data';
+      return res.status(400).json({ success: false, message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Update a deal's price, limits or schedule (admin)
+// @route   PUT /api/deals/:id
+router.put('/:id', protect, requirePermission('deals.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const deal = await Deal.findById(req.params.id);
+    if (!deal) return res.status(404).json({ success: false, message: 'Deal not found' });
+    if (!deal.isActive || deal.endsAt <= new Date()) {
+      return res.status(400).json({ success: false, message: 'Ended or cancelled deals cannot be changed' });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) deal[field] = req.body[field];
+    });
+    await deal.validate();
+
+    const problem = await validateDeal(deal);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    await deal.save();
+    res.json({ success: true, message: 'Deal updated', data: deal });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const message = Object.values(error.errors || {})[0]?.message || 'Invalid deal data';
+      return res.status(400).json({ success: false, message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Cancel a deal (admin). Orders already placed keep their price.
+// @route   DELETE /api/deals/:id
+router.delete('/:id', protect, requirePermission('deals.manage'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const deal = await Deal.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!deal) return res.status(404).json({ success: false, message: 'Deal not found' });
+
+    res.json({ success: true, message: 'Deal cancelled', data: deal });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
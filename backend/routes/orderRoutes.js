@@ -7,16 +7,23 @@ const Product = require('../models/Product');
 const Coupon = require('../models/Coupon');
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
+const { resolvePrice, claimDealItems, releaseDealItems } = require('../services/dealService');
+const { recordOrderStock } = require('../services/inventoryService');
 
 // @desc    Create new order (place order)
 // @route   POST /api/orders
-router.post('/', protect, roleGuard('buyer'), async (req, res) => {
+router.post('/', protect, roleGuard('buyer'), blockWhileImpersonating('place orders'), requireVerifiedEmail('checkout'), async (req, res) => {
   const session = await mongoose.startSession();
   try {
     const { shippingAddress, paymentMethod = 'cod', couponCode, notes } = req.body;
     const shouldFinalizeImmediately = paymentMethod === 'cod';
 
     let createdOrder;
+    let soldLines = [];
 
     await session.withTransaction(async () => {
       const cart = await Cart.findOne({ user: req.user._id }).populate('items.product').session(session);
@@ -33,11 +40,27 @@ router.post('/', protect, roleGuard('buyer'), async (req, res) => {
         if (!product || !product.isActive) {
           throw new Error(`PRODUCT_UNAVAILABLE:${item.product?.name || 'unknown'}`);
         }
-        if (product.stock < item.quantity) {
+
+        // Products sold in variants price and stock each SKU separately
+        const variant = item.variant ? product.skus.id(item.variant) : null;
+        if (product.hasVariants() !== Boolean(variant) || (variant && !variant.isActive)) {
+          throw new Error(`VARIANT_UNAVAILABLE:${product.name}`);
+        }
+        const source = variant || product;
+        if (source.stock < item.quantity) {
           throw new Error(`INSUFFICIENT_STOCK:${product.name}`);
         }
 
-        const itemTotal = product.price * item.quantity;
+        // Whatever is live right now: a cart line added at a deal price that has since ended is refused
+        const pricing = await resolvePrice({ product, variant, quantity: item.quantity, userId: req.user._id, session });
+        if (item.deal && String(item.deal) !== String(pricing.deal?._id)) {
+          throw new Error(`DEAL_ENDED:${product.name}`);
+        }
+        if (pricing.error) {
+          throw Object.assign(new Error(`DEAL_LIMIT:${product.name}`), { detail: pricing.error });
+        }
+        const price = pricing.price;
+        const itemTotal = price * item.quantity;
         subtotal += itemTotal;
 
         if (!product.shippingInfo?.freeShipping) {
@@ -48,12 +71,16 @@ router.post('/', protect, roleGuard('buyer'), async (req, res) => {
           product: product._id,
           seller: product.seller,
           name: product.name,
-          image: product.images?.[0]?.url || '',
-          price: product.price,
-          mrp: product.mrp,
+          image: variant?.images?.[0]?.url || product.images?.[0]?.url || '',
+          price,
+          mrp: pricing.mrp,
           quantity: item.quantity,
           size: item.size,
           color: item.color,
+          variant: variant ? variant._id : null,
+          sku: variant ? variant.sku : product.sku,
+          variantLabel: variant ? variant.label : '',
+          deal: pricing.deal ? pricing.deal._id : null,
         });
       }
 
@@ -96,22 +123,23 @@ router.post('/', protect, roleGuard('buyer'), async (req, res) => {
       createdOrder = created[0];
 
       if (shouldFinalizeImmediately) {
+        soldLines = [];
         for (const item of orderItems) {
-          const updated = await Product.findOneAndUpdate(
-            { _id: item.product, stock: { $gte: item.quantity } },
-            { $inc: { stock: -item.quantity, totalSold: item.quantity } },
-            { session, new: true }
-          );
+          const updated = await Product.decrementStock(item, { session });
           if (!updated) {
             throw new Error(`INSUFFICIENT_STOCK:${item.name}`);
           }
+          soldLines.push({ item, product: updated });
         }
+        await claimDealItems(createdOrder, { session });
 
         cart.items = [];
         await cart.save({ session });
       }
     });
 
+    if (soldLines.length) recordOrderStock(createdOrder, 'sale', soldLines);
+
     try {
       const emailService = require('../services/emailService');
       emailService.sendOrderConfirmation(req.user, createdOrder);
@@ -125,9 +153,21 @@ router.post('/', protect, roleGuard('buyer'), async (req, res) => {
     if (error.message.startsWith('PRODUCT_UNAVAILABLE:')) {
       return res.status(400).json({ success: false, message: `Product "${error.message.split(':')[1]}" is no longer available` });
     }
+    if (error.message.startsWith('VARIANT_UNAVAILABLE:')) {
+      return res.status(400).json({ success: false, message: `The selected option for "${error.message.split(':')[1]}" is no longer available. Please update your cart.` });
+    }
     if (error.message.startsWith('INSUFFICIENT_STOCK:')) {
       return res.status(400).json({ success: false, message: `Insufficient stock for "${error.message.split(':')[1]}"` });
     }
+    if (error.message.startsWith('DEAL_ENDED:')) {
+      return res.status(409).json({ success: false, code: 'DEAL_ENDED', message: `The deal price for "${error.message.split(':')[1]}" has ended. Please review your cart before ordering.` });
+    }
+    if (error.message.startsWith('DEAL_LIMIT:')) {
+      return res.status(400).json({ success: false, code: 'DEAL_LIMIT', message: `"${error.message.split(':')[1]}": ${error.detail || 'deal limit reached'}` });
+    }
+    if (error.message.startsWith('DEAL_SOLD_OUT:')) {
+      return res.status(409).json({ success: false, code: 'DEAL_SOLD_OUT', message: `The deal on "${error.message.split(':')[1]}" just sold out. Please review your cart before ordering.` });
+    }
     console.error('Order create error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   } finally {
@@ -180,9 +220,12 @@ router.put('/:id/cancel', protect, roleGuard('buyer'), async (req, res) => {
 
     const shouldRestoreStock = order.paymentInfo.method === 'cod' || order.paymentInfo.status === 'paid';
     if (shouldRestoreStock) {
+      const restocked = [];
       for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.quantity, totalSold: -item.quantity } });
+        restocked.push({ item, product: await Product.restoreStock(item) });
       }
+      await releaseDealItems(order);
+      recordOrderStock(order, 'cancellation', restocked);
     }
 
     res.json({ success: true, message: 'Order cancelled', data: order });
@@ -193,7 +236,7 @@ router.put('/:id/cancel', protect, roleGuard('buyer'), async (req, res) => {
 
 // @desc    Get seller orders (items sold by this seller)
 // @route   GET /api/orders/seller/orders
-router.get('/seller/orders', protect, roleGuard('seller'), async (req, res) => {
+router.get('/seller/orders', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const page = Number(req.query.page) || 1;
     const limit = Number(req.query.limit) || 10;
@@ -219,7 +262,7 @@ router.get('/seller/orders', protect, roleGuard('seller'), async (req, res) => {
 
 // @desc    Update order item status (seller)
 // @route   PUT /api/orders/:orderId/item/:itemId/status
-router.put('/:orderId/item/:itemId/status', protect, roleGuard('seller'), async (req, res) => {
+router.put('/:orderId/item/:itemId/status', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const { status, trackingId } = req.body;
     const allowedStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'];
@@ -264,7 +307,7 @@ router.put('/:orderId/item/:itemId/status', protect, roleGuard('seller'), async
 
 // @desc    Get all orders (admin)
 // @route   GET /api/orders/admin/all
-router.get('/admin/all', protect, roleGuard('admin'), async (req, res) => {
+router.get('/admin/all', protect, requirePermission('orders.manage'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const page = Number(req.query.page) || 1;
     const limit = Number(req.query.limit) || 20;
@@ -312,7 +355,11 @@ router.get('/:id', protect, async (req, res) => {
       }
     }
 
-    if (req.user.role !== 'buyer' && req.user.role !== 'seller' && req.user.role !== 'admin') {
+    if (req.user.role === 'staff' && !(await hasPermission(req.user, 'orders.manage'))) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    if (!['buyer', 'seller', 'admin', 'staff'].includes(req.user.role)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
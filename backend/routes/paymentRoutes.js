@@ -4,9 +4,13 @@ const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const { claimDealItems, findExpiredDealItem } = require('../services/dealService');
+const { recordOrderStock } = require('../services/inventoryService');
 
 const router = express.Router();
 
@@ -18,7 +22,7 @@ const razorpay = new Razorpay({
 // @desc    Create Razorpay order
 // @route   POST /api/payments/create-order
 // @access  Private (Buyer)
-router.post('/create-order', protect, roleGuard('buyer'), async (req, res) => {
+router.post('/create-order', protect, roleGuard('buyer'), blockWhileImpersonating('make payments'), requireVerifiedEmail('checkout'), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -39,6 +43,15 @@ router.post('/create-order', protect, roleGuard('buyer'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Order payment method is not Razorpay' });
     }
 
+    const expiredDealItem = await findExpiredDealItem(order);
+    if (expiredDealItem) {
+      return res.status(409).json({
+        success: false,
+        code: 'DEAL_ENDED',
+        message: `The deal price for "${expiredDealItem}" has ended. Please cancel this order and check out again.`,
+      });
+    }
+
     const options = {
       amount: Math.round(order.grandTotal * 100),
       currency: 'INR',
@@ -72,7 +85,7 @@ router.post('/create-order', protect, roleGuard('buyer'), async (req, res) => {
 // @desc    Verify Razorpay payment
 // @route   POST /api/payments/verify-payment
 // @access  Private (Buyer)
-router.post('/verify-payment', protect, roleGuard('buyer'), async (req, res) => {
+router.post('/verify-payment', protect, roleGuard('buyer'), blockWhileImpersonating('make payments'), async (req, res) => {
   const session = await mongoose.startSession();
   try {
     const { orderId, razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
@@ -103,28 +116,29 @@ router.post('/verify-payment', protect, roleGuard('buyer'), async (req, res) =>
     }
 
     let finalizedOrder = null;
+    let soldLines = [];
 
     await session.withTransaction(async () => {
       const orderInSession = await Order.findOne({ _id: orderId, user: req.user._id }).session(session);
       if (!orderInSession) throw new Error('ORDER_NOT_FOUND');
 
+      soldLines = [];
       for (const item of orderInSession.items) {
-        const updated = await Product.findOneAndUpdate(
-          { _id: item.product, stock: { $gte: item.quantity } },
-          { $inc: { stock: -item.quantity, totalSold: item.quantity } },
-          { session, new: true }
-        );
+        const updated = await Product.decrementStock(item, { session });
 
         if (!updated) {
           throw new Error(`INSUFFICIENT_STOCK:${item.name}`);
         }
+        soldLines.push({ item, product: updated });
       }
+      await claimDealItems(orderInSession, { session });
 
       const cart = await Cart.findOne({ user: req.user._id }).session(session);
       if (cart) {
         for (const orderItem of orderInSession.items) {
           const index = cart.items.findIndex((cartItem) => (
             cartItem.product.toString() === orderItem.product.toString()
+            && String(cartItem.variant || '') === String(orderItem.variant || '')
             && (cartItem.size || '') === (orderItem.size || '')
             && (cartItem.color || '') === (orderItem.color || '')
           ));
@@ -148,6 +162,7 @@ router.post('/verify-payment', protect, roleGuard('buyer'), async (req, res) =>
 
       finalizedOrder = orderInSession;
     });
+    recordOrderStock(finalizedOrder, 'sale', soldLines);
 
     res.json({ success: true, message: 'Payment verified successfully', data: finalizedOrder });
   } catch (error) {
@@ -157,6 +172,12 @@ router.post('/verify-payment', protect, roleGuard('buyer'), async (req, res) =>
         message: `Insufficient stock for "${error.message.split(':')[1]}". Payment captured; contact support for refund.`,
       });
     }
+    if (error.message && (error.message.startsWith('DEAL_SOLD_OUT:') || error.message.startsWith('DEAL_LIMIT:'))) {
+      return res.status(400).json({
+        success: false,
+        message: `The deal on "${error.message.split(':')[1]}" is no longer available to you. Payment captured; contact support for refund.`,
+      });
+    }
 
     console.error('Verify payment error:', error);
     res.status(500).json({ success: false, message: 'Payment verification failed' });
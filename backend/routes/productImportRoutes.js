@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { protect } = require('../middleware/auth');
+const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { detectFormat, writeRows, sendSpreadsheet } = require('../utils/spreadsheet');
+const {
+  PRODUCT_COLUMNS,
+  RESULT_COLUMNS,
+  startImport,
+  markIfStalled,
+  toJobSummary,
+  buildResultRows,
+  buildTemplateRows,
+} = require('../services/productImportService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+  fileFilter: (req, file, cb) => {
+    if (detectFormat(file)) return cb(null, true);
+    const error = new Error('Only CSV and XLSX files are allowed');
+    error.statusCode = 400;
+    return cb(error, false);
+  },
+});
+
+const getFormat = (req) => (req.query.format === 'xlsx' ? 'xlsx' : 'csv');
+
+// @desc    Download a blank import file with example rows
+// @route   GET /api/products/import/template?format=csv|xlsx
+router.get('/template', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const Category = require('../models/Category');
+    const category = await Category.findOne({ isActive: true }).sort({ name: 1 }).select('name');
+
+    const format = getFormat(req);
+    const buffer = await writeRows(PRODUCT_COLUMNS, buildTemplateRows(category?.name), format, 'Products');
+    sendSpreadsheet(res, buffer, format, 'dealify-product-template');
+  } catch (error) {
+    console.error('Import template error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Upload a CSV/XLSX file to create or update products by sku (runs in the background)
+// @route   POST /api/products/import
+router.post('/', protect, roleGuard('seller'), requireTwoFactorEnrollment, requireVerifiedEmail('product_listing'), upload.single('file'), async (req, res) => {
+  try {
+    const Seller = require('../models/Seller');
+    const ProductImportJob = require('../models/ProductImportJob');
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file provided' });
+    }
+
+    const sellerProfile = await Seller.findOne({ userId: req.user._id });
+    if (!sellerProfile || sellerProfile.isApproved !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your seller account must be approved before adding products',
+      });
+    }
+
+    const running = await ProductImportJob.findOne({ seller: req.user._id, status: { $in: ['queued', 'processing'] } });
+    if (running && (await markIfStalled(running)).isRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'An import is already running. Wait for it to finish before uploading another file.',
+        data: toJobSummary(running),
+      });
+    }
+
+    const { job, error } = await startImport(req.file, {
+      userId: req.user._id,
+      sellerProfileId: sellerProfile._id,
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(202).json({ success: true, message: 'Import started', data: toJobSummary(job) });
+  } catch (error) {
+    console.error('Product import error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Seller's recent imports
+// @route   GET /api/products/import
+router.get('/', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const ProductImportJob = require('../models/ProductImportJob');
+    const jobs = await ProductImportJob.find({ seller: req.user._id })
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    const summaries = await Promise.all(jobs.map(async job => toJobSummary(await markIfStalled(job))));
+    res.json({ success: true, data: summaries });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Import progress
+// @route   GET /api/products/import/:id
+router.get('/:id', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const ProductImportJob = require('../models/ProductImportJob');
+    const job = await ProductImportJob.findOne({ _id: req.params.id, seller: req.user._id }).select('-rows');
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+
+    res.json({ success: true, data: toJobSummary(await markIfStalled(job)) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Download the per-row outcome of an import
+// @route   GET /api/products/import/:id/result?format=csv|xlsx
+router.get('/:id/result', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const ProductImportJob = require('../models/ProductImportJob');
+    const job = await ProductImportJob.findOne({ _id: req.params.id, seller: req.user._id });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+    if (job.isRunning()) {
+      return res.status(409).json({ success: false, message: 'The import is still running' });
+    }
+
+    const format = req.query.format ? getFormat(req) : job.format;
+    const buffer = await writeRows(RESULT_COLUMNS, buildResultRows(job), format, 'Import result');
+    sendSpreadsheet(res, buffer, format, `dealify-import-${job._id}-result`);
+  } catch (error) {
+    console.error('Import result error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
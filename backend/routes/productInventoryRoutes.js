@@ -0,0 +1,130 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const InventoryMovement = require('../models/InventoryMovement');
+const StockAlert = require('../models/StockAlert');
+const { protect } = require('../middleware/auth');
+const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { MAX_ADJUSTMENTS, adjustStock, getSellerInventory } = require('../services/inventoryService');
+
+// @desc    Seller's stock by product and variant, with low / out-of-stock flags and sell-through
+// @route   GET /api/products/inventory?status=low|out|all&search=
+router.get('/', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const [{ summary, rows }, unreadAlerts] = await Promise.all([
+      getSellerInventory(req.user._id, { status: req.query.status, search: req.query.search }),
+      StockAlert.countDocuments({ seller: req.user._id, readAt: null }),
+    ]);
+    const data = rows.slice((page - 1) * limit, page * limit);
+
+    res.json({
+      success: true,
+      count: data.length,
+      total: rows.length,
+      pages: Math.ceil(rows.length / limit),
+      currentPage: page,
+      summary: { ...summary, unreadAlerts },
+      data,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Inventory ledger: sales, cancellation restocks and manual adjustments, newest first
+// @route   GET /api/products/inventory/movements?product=&variant=&type=
+router.get('/movements', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const filter = { seller: req.user._id };
+    if (mongoose.isValidObjectId(req.query.product)) filter.product = req.query.product;
+    if (mongoose.isValidObjectId(req.query.variant)) filter.variant = req.query.variant;
+    if (['sale', 'cancellation', 'adjustment'].includes(req.query.type)) filter.type = req.query.type;
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .populate('product', 'name slug')
+        .populate('order', 'orderId')
+        .populate('actor', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InventoryMovement.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: movements.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: movements,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Adjust stock of several products / variants at once; each line is logged in the ledger
+// @route   POST /api/products/inventory/adjust
+router.post('/adjust', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { adjustments, note } = req.body;
+    if (!Array.isArray(adjustments) || adjustments.length === 0) {
+      return res.status(400).json({ success: false, message: 'Add at least one stock adjustment' });
+    }
+    if (adjustments.length > MAX_ADJUSTMENTS) {
+      return res.status(400).json({ success: false, message: `Up to ${MAX_ADJUSTMENTS} adjustments at a time` });
+    }
+
+    const results = await adjustStock(req.user._id, adjustments, { note, actor: req.user._id });
+    const failed = results.filter(result => result.error).length;
+    res.json({
+      success: true,
+      message: failed
+        ? `${results.length - failed} of ${results.length} adjustments applied`
+        : 'Stock updated',
+      failed,
+      data: results,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Low-stock alerts raised by orders, newest first
+// @route   GET /api/products/inventory/alerts?unread=true
+router.get('/alerts', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const filter = { seller: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [alerts, unreadCount] = await Promise.all([
+      StockAlert.find(filter).sort({ createdAt: -1 }).limit(50),
+      StockAlert.countDocuments({ seller: req.user._id, readAt: null }),
+    ]);
+    res.json({ success: true, unreadCount, data: alerts });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Mark alerts as read (the given `ids`, or all of them)
+// @route   PUT /api/products/inventory/alerts/read
+router.put('/alerts/read', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const filter = { seller: req.user._id, readAt: null };
+    if (Array.isArray(req.body.ids)) filter._id = { $in: req.body.ids.filter(id => mongoose.isValidObjectId(id)) };
+
+    const { modifiedCount } = await StockAlert.updateMany(filter, { readAt: new Date() });
+    res.json({ success: true, message: 'Alerts marked as read', data: { updated: modifiedCount } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
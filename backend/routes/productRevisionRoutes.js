@@ -0,0 +1,130 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Product = require('../models/Product');
+const ProductRevision = require('../models/ProductRevision');
+const { protect } = require('../middleware/auth');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { reviewRevision, rollbackTo } = require('../services/productRevisionService');
+
+// @desc    Edits to live products waiting for review, oldest first (admin)
+// @route   GET /api/products/revisions/pending
+router.get('/pending', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 15, 50);
+    // Edits to products that aren't live are reviewed with the product itself
+    const filter = { status: 'pending', snapshot: null };
+
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(filter)
+        .populate('product', 'name slug images isApproved')
+        .populate('seller', 'name email')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProductRevision.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Revision history of a product, newest first (its seller, or admin)
+// @route   GET /api/products/revisions/product/:productId
+router.get('/product/:productId', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findById(req.params.productId).select('name seller isApproved pendingRevision');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const isOwner = String(product.seller) === String(req.user._id);
+    if (!isOwner && !(await hasPermission(req.user, 'catalog.moderate'))) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const revisions = await ProductRevision.find({ product: product._id })
+      .populate('createdBy', 'name role')
+      .populate('reviewedBy', 'name')
+      .sort({ number: -1 })
+      .limit(100);
+
+    res.json({ success: true, product, data: revisions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Approve (apply to the live listing) or reject a pending edit (admin)
+// @route   PUT /api/products/revisions/:id/review
+router.put('/:id/review', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { status, note = '' } = req.body; // 'approved' or 'rejected'
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+    }
+
+    const revision = await ProductRevision.findById(req.params.id);
+    if (!revision || revision.status !== 'pending') {
+      return res.status(404).json({ success: false, message: 'No pending revision found' });
+    }
+    const product = await Product.findById(revision.product);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    await reviewRevision(revision, product, { status, note: String(note).slice(0, 500), reviewerId: req.user._id });
+
+    res.json({ success: true, message: status === 'approved' ? 'Changes approved and live' : 'Changes rejected', data: revision });
+  } catch (error) {
+    if (error.message === 'NOT_LIVE') {
+      return res.status(400).json({ success: false, message: 'This product is not live yet — approve or reject the product itself' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Restore a product's listing to an approved revision (admin)
+// @route   POST /api/products/revisions/:id/rollback
+router.post('/:id/rollback', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const target = await ProductRevision.findById(req.params.id);
+    if (!target || target.status !== 'approved' || !target.snapshot) {
+      return res.status(400).json({ success: false, message: 'Only approved revisions can be rolled back to' });
+    }
+    const product = await Product.findById(target.product);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const revision = await rollbackTo(product, target, req.user._id);
+    res.json({ success: true, message: `Listing restored to revision ${target.number}`, data: revision });
+  } catch (error) {
+    if (error.message === 'NOTHING_TO_ROLL_BACK') {
+      return res.status(400).json({ success: false, message: 'The listing already matches this revision' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
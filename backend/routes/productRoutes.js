@@ -1,81 +1,75 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Seller = require('../models/Seller');
+const PriceHistory = require('../models/PriceHistory');
+const { writeRows, sendSpreadsheet } = require('../utils/spreadsheet');
+const { slugFilter, saveWithFreeSlug } = require('../utils/slugs');
+const { PRODUCT_COLUMNS, buildExportRows } = require('../services/productImportService');
+const { buildSearchFilters, getFacets } = require('../services/productSearchService');
+const { getSuggestions, getDidYouMean, logSearch } = require('../services/searchSuggestService');
+const { getBoughtTogether, getRelated } = require('../services/recommendationService');
+const { recordProductView } = require('../services/browsingHistoryService');
+const { LOWEST_PRICE_DAYS, getPriceHistory } = require('../services/priceHistoryService');
+const {
+  contentOf, stageSellerEdit, recordCreation, settleAppliedRevisions,
+} = require('../services/productRevisionService');
+const {
+  NOTE_MAX_LENGTH, listRejectionReasons, parseDecision, applyDecision, recordModeration, getModerationHistory, notifyDecision,
+} = require('../services/moderationService');
+const { archiveProduct, restoreProduct } = require('../services/productArchiveService');
+
+// Seller product list filters, shared by the list and its export
+function buildMyProductsFilter(sellerId, { status, search }) {
+  // Archived products only show up under their own tab
+  const filter = { seller: sellerId, archivedAt: status === 'archived' ? { $ne: null } : null };
+
+  if (status === 'active') filter.isActive = true;
+  if (status === 'inactive') filter.isActive = false;
+  if (status === 'pending') filter.isApproved = 'pending';
+  if (status === 'approved') filter.isApproved = 'approved';
+  if (status === 'rejected') filter.isApproved = 'rejected';
+
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { sku: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  return filter;
+}
 
 // ───────────────────────────────────────────────
 // PUBLIC ROUTES
 // ───────────────────────────────────────────────
 
 // @desc    Get all approved products (public, with search/filter/sort/pagination)
-// @route   GET /api/products
+// @route   GET /api/products (add facets=true for filter counts)
 router.get('/', async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 12,
-      category,
-      search,
-      minPrice,
-      maxPrice,
-      sort = 'newest',
-      brand,
-      rating,
-      featured,
-      seller,
-    } = req.query;
-
-    const filter = { isActive: true, isApproved: 'approved' };
-
-    // Category filter
-    if (category) {
-      const cat = await Category.findOne({ slug: category });
-      if (cat) {
-        // Include subcategories
-        const subCats = await Category.find({ parent: cat._id }).select('_id');
-        const catIds = [cat._id, ...subCats.map((s) => s._id)];
-        filter.category = { $in: catIds };
-      }
-    }
-
-    // Search
-    if (search) {
-      filter.$text = { $search: search };
-    }
-
-    // Price range
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
-    }
-
-    // Brand filter
-    if (brand) {
-      filter.brand = { $regex: new RegExp(brand, 'i') };
-    }
+    const { page = 1, limit = 12, facets } = req.query;
+    const sort = req.query.sort || (req.query.search ? 'relevance' : 'newest');
 
-    // Rating filter
-    if (rating) {
-      filter.rating = { $gte: Number(rating) };
-    }
-
-    // Featured filter
-    if (featured === 'true') {
-      filter.isFeatured = true;
-    }
-
-    // Seller filter
-    if (seller) {
-      filter.seller = seller;
-    }
+    // Filters: category, search, minPrice, maxPrice, brand (comma-separated), rating,
+    // featured, seller, inStock and spec[Key]=Value,Value
+    const search = await buildSearchFilters(req.query);
+    const { filter, rankedIds } = search;
 
     // Sort options
     let sortOption = {};
     switch (sort) {
+      case 'relevance':
+        // External engines rank by their own order (applied below); Mongo ranks by text score
+        sortOption = filter.$text ? { score: { $meta: 'textScore' } } : { createdAt: -1 };
+        break;
       case 'price_low':
         sortOption = { price: 1 };
         break;
@@ -100,14 +94,44 @@ router.get('/', async (req, res) => {
     const skip = (Number(page) - 1) * Number(limit);
     const total = await Product.countDocuments(filter);
 
-    const products = await Product.find(filter)
-      .populate('category', 'name slug icon')
-      .populate('seller', 'name')
-      .populate('sellerProfile', 'storeName rating')
-      .sort(sortOption)
-      .skip(skip)
-      .limit(Number(limit))
-      .select('-specifications -variants -description');
+    let products;
+    if (sort === 'relevance' && rankedIds) {
+      const rank = new Map(rankedIds.map((id, i) => [id, i]));
+      const matching = await Product.find(filter).select('_id').lean();
+      const pageIds = matching
+        .map(p => String(p._id))
+        .sort((a, b) => rank.get(a) - rank.get(b))
+        .slice(skip, skip + Number(limit));
+      products = await Product.find({ _id: { $in: pageIds } })
+        .populate('category', 'name slug icon')
+        .populate('seller', 'name')
+        .populate('sellerProfile', 'storeName rating')
+        .select('-specifications -variants -description');
+      products.sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)));
+    } else {
+      products = await Product.find(filter)
+        .populate('category', 'name slug icon')
+        .populate('seller', 'name')
+        .populate('sellerProfile', 'storeName rating')
+        .sort(sortOption)
+        .skip(skip)
+        .limit(Number(limit))
+        .select('-specifications -variants -description');
+    }
+
+    let didYouMean = null;
+    if (req.query.search && typeof req.query.search === 'string') {
+      // Only first pages are logged so paging through results doesn't inflate popularity
+      if (Number(page) === 1) logSearch(req.query.search, total);
+      if (total === 0) {
+        const correction = await getDidYouMean(req.query.search);
+        // Only offer a spelling that actually finds something with the same filters
+        if (correction) {
+          const corrected = await buildSearchFilters({ ...req.query, search: correction });
+          if (await Product.countDocuments(corrected.filter)) didYouMean = correction;
+        }
+      }
+    }
 
     res.json({
       success: true,
@@ -116,6 +140,11 @@ router.get('/', async (req, res) => {
       pages: Math.ceil(total / Number(limit)),
       currentPage: Number(page),
       data: products,
+      ...(didYouMean ? { didYouMean } : {}),
+      // The category was asked for by a slug it had before a rename
+      ...(search.selectedCategory && search.selectedCategory.slug !== String(req.query.category)
+        ? { redirect: { category: search.selectedCategory.slug } } : {}),
+      ...(facets === 'true' ? { facets: await getFacets(search) } : {}),
     });
   } catch (error) {
     console.error('Product list error:', error);
@@ -123,6 +152,19 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Search-as-you-type suggestions: popular searches, products, brands and categories
+// @route   GET /api/products/suggest?q=
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const data = await getSuggestions(q);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @desc    Get featured products (MUST be before /slug/:slug to avoid matching 'featured' as slug)
 // @route   GET /api/products/featured
 router.get('/featured', async (req, res) => {
@@ -145,12 +187,13 @@ router.get('/featured', async (req, res) => {
   }
 });
 
-// @desc    Get single product by slug (public)
+// @desc    Get single product by current or previous slug (public)
 // @route   GET /api/products/slug/:slug
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
   try {
+    // Old slugs from before a rename still resolve; `redirect` tells the client the current one
     const product = await Product.findOne({
-      slug: req.params.slug,
+      ...slugFilter(req.params.slug),
       isActive: true,
       isApproved: 'approved',
     })
@@ -158,12 +201,102 @@ router.get('/slug/:slug', async (req, res) => {
       .populate('seller', 'name')
       .populate('sellerProfile', 'storeName rating storeDescription shippingPolicy returnPolicy');
 
+    if (!product) {
+      // Archived products stay viewable from old orders and links, but can't be bought.
+      // Only ones that passed moderation: pending or rejected content is never shown publicly.
+      const archived = await Product.findOne({
+        ...slugFilter(req.params.slug),
+        archivedAt: { $ne: null },
+        isApproved: 'approved',
+      })
+        .populate('category', 'name slug icon')
+        .populate('sellerProfile', 'storeName');
+      if (!archived) {
+        return res.status(404).json({ success: false, message: 'Product not found' });
+      }
+      return res.json({ success: true, archived: true, data: archived });
+    }
+
+    recordProductView(req, product);
+
+    res.json({
+      success: true,
+      data: product,
+      ...(product.slug !== req.params.slug ? { redirect: { slug: product.slug } } : {}),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Public product by id for the recommendation routes; null when missing or not listed
+async function findListedProduct(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Product.findOne({ _id: id, isActive: true, isApproved: 'approved' }).select('category brand tags price');
+}
+
+// @desc    Similar products and "customers who viewed this also viewed"
+// @route   GET /api/products/:id/related
+router.get('/:id/related', async (req, res) => {
+  try {
+    const product = await findListedProduct(req.params.id);
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    res.json({ success: true, data: product });
+    const limit = Math.min(Number(req.query.limit) || 8, 20);
+    const data = await getRelated(product, { limit });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Related products error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Products frequently bought together with this one
+// @route   GET /api/products/:id/bought-together
+router.get('/:id/bought-together', async (req, res) => {
+  try {
+    const product = await findListedProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 4, 10);
+    const products = await getBoughtTogether(product, { limit });
+    res.json({ success: true, count: products.length, data: products });
+  } catch (error) {
+    console.error('Bought together error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Price changes and the lowest price over recent days (default 30)
+// @route   GET /api/products/:id/price-history?variant=<skuId>&days=30
+router.get('/:id/price-history', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findOne({ _id: req.params.id, isActive: true, isApproved: 'approved' })
+      .select('price mrp skus');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (product.hasVariants()) {
+      variant = mongoose.isValidObjectId(req.query.variant) ? product.skus.id(req.query.variant) : null;
+      if (!variant) {
+        return res.status(400).json({ success: false, message: 'Pick a variant to see its price history' });
+      }
+    }
+
+    const days = Math.min(Math.max(Number(req.query.days) || LOWEST_PRICE_DAYS, 1), 365);
+    const data = await getPriceHistory(product, { variant, days });
+    res.json({ success: true, data });
   } catch (error) {
+    console.error('Price history error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -174,24 +307,10 @@ router.get('/slug/:slug', async (req, res) => {
 
 // @desc    Get seller's own products
 // @route   GET /api/products/my-products
-router.get('/my-products', protect, roleGuard('seller'), async (req, res) => {
+router.get('/my-products', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
-
-    const filter = { seller: req.user._id };
-
-    if (status === 'active') filter.isActive = true;
-    if (status === 'inactive') filter.isActive = false;
-    if (status === 'pending') filter.isApproved = 'pending';
-    if (status === 'approved') filter.isApproved = 'approved';
-    if (status === 'rejected') filter.isApproved = 'rejected';
-
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { sku: { $regex: search, $options: 'i' } },
-      ];
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const filter = buildMyProductsFilter(req.user._id, req.query);
 
     const skip = (Number(page) - 1) * Number(limit);
     const total = await Product.countDocuments(filter);
@@ -215,14 +334,34 @@ router.get('/my-products', protect, roleGuard('seller'), async (req, res) => {
   }
 });
 
+// @desc    Export seller's products in the bulk import format
+// @route   GET /api/products/my-products/export?format=csv|xlsx
+router.get('/my-products/export', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const products = await Product.find(buildMyProductsFilter(req.user._id, req.query))
+      .populate('category', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const buffer = await writeRows(PRODUCT_COLUMNS, buildExportRows(products), format, 'Products');
+    sendSpreadsheet(res, buffer, format, `dealify-products-${new Date().toISOString().slice(0, 10)}`);
+  } catch (error) {
+    console.error('Product export error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @desc    Get one seller product by id (own only)
 // @route   GET /api/products/my-products/:id
-router.get('/my-products/:id', protect, roleGuard('seller'), async (req, res) => {
+router.get('/my-products/:id', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const product = await Product.findOne({
       _id: req.params.id,
       seller: req.user._id,
-    }).populate('category', 'name slug');
+    })
+      .populate('category', 'name slug')
+      .populate('pendingRevision', 'number fields after createdAt');
 
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
@@ -236,7 +375,7 @@ router.get('/my-products/:id', protect, roleGuard('seller'), async (req, res) =>
 
 // @desc    Create a product (seller)
 // @route   POST /api/products
-router.post('/', protect, roleGuard('seller'), async (req, res) => {
+router.post('/', protect, roleGuard('seller'), requireTwoFactorEnrollment, requireVerifiedEmail('product_listing'), async (req, res) => {
   try {
     // Check if seller is approved
     const sellerProfile = await Seller.findOne({ userId: req.user._id });
@@ -249,13 +388,14 @@ router.post('/', protect, roleGuard('seller'), async (req, res) => {
 
     const {
       name, description, shortDescription, price, mrp,
-      category, images, specifications, variants, sizes,
-      colors, stock, sku, weight, tags, brand,
+      category, images, specifications, variants, skus, sizes,
+      colors, stock, lowStockThreshold, sku, weight, tags, brand,
       shippingInfo, returnPolicy,
     } = req.body;
 
-    // Validations
-    if (!name || !price || !category) {
+    // Validations — products sold in variants take their price from the SKUs
+    const hasSkus = Array.isArray(skus) && skus.length > 0;
+    if (!name || (!price && !hasSkus) || !category) {
       return res.status(400).json({
         success: false,
         message: 'Name, price and category are required',
@@ -268,7 +408,7 @@ router.post('/', protect, roleGuard('seller'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid category' });
     }
 
-    const product = await Product.create({
+    const product = await saveWithFreeSlug(new Product({
       name,
       description: description || '',
       shortDescription: shortDescription || '',
@@ -280,31 +420,38 @@ router.post('/', protect, roleGuard('seller'), async (req, res) => {
       images: images || [],
       specifications: specifications || [],
       variants: variants || [],
+      skus: skus || [],
       sizes: sizes || [],
       colors: colors || [],
       stock: stock || 0,
+      lowStockThreshold: lowStockThreshold ?? null,
       sku: sku || '',
       weight: weight || 0,
       tags: tags || [],
       brand: brand || '',
       shippingInfo: shippingInfo || {},
       returnPolicy: returnPolicy || {},
-    });
+    }));
 
     // Update counts
     await Category.findByIdAndUpdate(category, { $inc: { productCount: 1 } });
     await Seller.findByIdAndUpdate(sellerProfile._id, { $inc: { totalProducts: 1 } });
+    await recordCreation(product, req.user._id);
+    await recordModeration('product', product, { owner: req.user._id, action: 'submitted', actor: req.user._id });
 
     res.status(201).json({ success: true, message: 'Product created and pending approval', data: product });
   } catch (error) {
     console.error('Create product error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
     res.status(500).json({ success: false, message: error.message || 'Server error' });
   }
 });
 
 // @desc    Update product (seller - own only)
 // @route   PUT /api/products/:id
-router.put('/:id', protect, roleGuard('seller'), async (req, res) => {
+router.put('/:id', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -315,15 +462,19 @@ router.put('/:id', protect, roleGuard('seller'), async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
+    if (product.archivedAt) {
+      return res.status(400).json({ success: false, message: 'Restore this product before editing it' });
+    }
+
     const allowedFields = [
       'name', 'description', 'shortDescription', 'price', 'mrp',
-      'images', 'specifications', 'variants', 'sizes', 'colors',
-      'stock', 'sku', 'weight', 'tags', 'brand', 'isActive',
+      'images', 'specifications', 'variants', 'skus', 'sizes', 'colors',
+      'stock', 'lowStockThreshold', 'sku', 'weight', 'tags', 'brand', 'isActive',
       'shippingInfo', 'returnPolicy',
     ];
 
     const oldCategory = product.category;
-    let categoryChanged = false;
+    const before = contentOf(product);
 
     // Handle category change
     if (req.body.category && req.body.category !== product.category.toString()) {
@@ -332,7 +483,6 @@ router.put('/:id', protect, roleGuard('seller'), async (req, res) => {
         return res.status(400).json({ success: false, message: 'Invalid category' });
       }
       product.category = req.body.category;
-      categoryChanged = true;
     }
 
     // Update allowed fields
@@ -342,23 +492,92 @@ router.put('/:id', protect, roleGuard('seller'), async (req, res) => {
       }
     });
 
-    await product.save();
+    // Listing changes to a live product wait for review; the edit must be valid either way
+    await product.validate();
+    const revision = await stageSellerEdit(product, before, req.user._id);
+    await saveWithFreeSlug(product);
 
     // Update category counts if changed
-    if (categoryChanged) {
+    if (String(oldCategory) !== String(product.category)) {
       await Category.findByIdAndUpdate(oldCategory, { $inc: { productCount: -1 } });
       await Category.findByIdAndUpdate(product.category, { $inc: { productCount: 1 } });
     }
 
-    res.json({ success: true, message: 'Product updated', data: product });
+    const inReview = Boolean(revision) && String(product.pendingRevision) === String(revision._id);
+    res.json({
+      success: true,
+      message: inReview
+        ? 'Changes submitted for review. Buyers see the current listing until they are approved.'
+        : 'Product updated',
+      inReview,
+      data: product,
+    });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
     res.status(500).json({ success: false, message: error.message || 'Server error' });
   }
 });
 
-// @desc    Delete product (seller - own only)
+// @desc    Send a rejected product back to the review queue after fixing it (seller - own only)
+// @route   POST /api/products/:id/resubmit
+router.post('/:id/resubmit', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, seller: req.user._id });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (product.archivedAt) {
+      return res.status(400).json({ success: false, message: 'Restore this product before resubmitting it' });
+    }
+    if (product.isApproved !== 'rejected') {
+      return res.status(400).json({ success: false, message: 'Only rejected products can be resubmitted' });
+    }
+
+    // The last rejection stays on the product so the moderator can check it was addressed
+    product.isApproved = 'pending';
+    await product.save();
+    await recordModeration('product', product, {
+      owner: req.user._id,
+      action: 'resubmitted',
+      note: String(req.body.note || '').trim().slice(0, NOTE_MAX_LENGTH),
+      actor: req.user._id,
+    });
+
+    res.json({ success: true, message: 'Product resubmitted for review', data: product });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Moderation history of a product, newest first (its seller, or admin)
+// @route   GET /api/products/:id/moderation
+router.get('/:id/moderation', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const product = await Product.findById(req.params.id).select('name seller isApproved rejectionReasons approvalNote');
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const isOwner = String(product.seller) === String(req.user._id);
+    if (!isOwner && !(await hasPermission(req.user, 'catalog.moderate'))) {
+      return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    const events = await getModerationHistory('product', product._id);
+    res.json({ success: true, product, data: events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Archive product: hidden from the catalog, kept for orders and reviews (seller - own only)
 // @route   DELETE /api/products/:id
-router.delete('/:id', protect, roleGuard('seller'), async (req, res) => {
+router.delete('/:id', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -369,16 +588,33 @@ router.delete('/:id', protect, roleGuard('seller'), async (req, res) => {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
 
-    await Category.findByIdAndUpdate(product.category, { $inc: { productCount: -1 } });
+    if (product.archivedAt) {
+      return res.status(400).json({ success: false, message: 'Product is already archived' });
+    }
 
-    const sellerProfile = await Seller.findOne({ userId: req.user._id });
-    if (sellerProfile) {
-      await Seller.findByIdAndUpdate(sellerProfile._id, { $inc: { totalProducts: -1 } });
+    await archiveProduct(product);
+
+    res.json({ success: true, message: 'Product archived. You can restore it from the Archived tab.', data: product });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Restore an archived product to the catalog (seller - own only)
+// @route   POST /api/products/:id/restore
+router.post('/:id/restore', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, seller: req.user._id });
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    if (!product.archivedAt) {
+      return res.status(400).json({ success: false, message: 'Product is not archived' });
     }
 
-    await Product.findByIdAndDelete(req.params.id);
+    await restoreProduct(product);
 
-    res.json({ success: true, message: 'Product deleted' });
+    res.json({ success: true, message: 'Product restored', data: product });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -390,11 +626,11 @@ router.delete('/:id', protect, roleGuard('seller'), async (req, res) => {
 
 // @desc    Get all products (admin - including unapproved)
 // @route   GET /api/products/admin/all
-router.get('/admin/all', protect, roleGuard('admin'), async (req, res) => {
+router.get('/admin/all', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const { page = 1, limit = 15, status, search, category, seller } = req.query;
 
-    const filter = {};
+    const filter = { archivedAt: status === 'archived' ? { $ne: null } : null };
 
     if (status === 'pending') filter.isApproved = 'pending';
     if (status === 'approved') filter.isApproved = 'approved';
@@ -422,9 +658,9 @@ router.get('/admin/all', protect, roleGuard('admin'), async (req, res) => {
       .limit(Number(limit));
 
     // Get counts for status tabs
-    const pendingCount = await Product.countDocuments({ isApproved: 'pending' });
-    const approvedCount = await Product.countDocuments({ isApproved: 'approved' });
-    const rejectedCount = await Product.countDocuments({ isApproved: 'rejected' });
+    const pendingCount = await Product.countDocuments({ isApproved: 'pending', archivedAt: null });
+    const approvedCount = await Product.countDocuments({ isApproved: 'approved', archivedAt: null });
+    const rejectedCount = await Product.countDocuments({ isApproved: 'rejected', archivedAt: null });
 
     res.json({
       success: true,
@@ -442,14 +678,77 @@ router.get('/admin/all', protect, roleGuard('admin'), async (req, res) => {
   }
 });
 
-// @desc    Approve/Reject product (admin)
-// @route   PUT /api/products/admin/:id/approval
-router.put('/admin/:id/approval', protect, roleGuard('admin'), async (req, res) => {
+// @desc    Price changes flagged as suspicious, e.g. MRP raised just before a discount (admin)
+// @route   GET /api/products/admin/price-flags?status=open|dismissed|confirmed
+router.get('/admin/price-flags', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Math.min(Number(req.query.limit) || 15, 100);
+    const status = ['open', 'dismissed', 'confirmed'].includes(req.query.status) ? req.query.status : 'open';
+
+    const [flags, total, openCount] = await Promise.all([
+      PriceHistory.find({ flagStatus: status })
+        .populate('product', 'name slug images isApproved')
+        .populate('seller', 'name email')
+        .populate('reviewedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PriceHistory.countDocuments({ flagStatus: status }),
+      PriceHistory.countDocuments({ flagStatus: 'open' }),
+    ]);
+
+    res.json({
+      success: true,
+      count: flags.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      openCount,
+      data: flags,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Mark a flagged price change as reviewed (admin)
+// @route   PUT /api/products/admin/price-flags/:id
+router.put('/admin/price-flags/:id', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
   try {
-    const { status } = req.body; // 'approved' or 'rejected'
+    const { status } = req.body; // 'dismissed' (looks fine) or 'confirmed' (misleading MRP)
+    if (!['dismissed', 'confirmed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be dismissed or confirmed' });
+    }
+
+    const flag = await PriceHistory.findOneAndUpdate(
+      { _id: req.params.id, flagStatus: { $ne: 'none' } },
+      { flagStatus: status, reviewedBy: req.user._id, reviewedAt: new Date() },
+      { new: true }
+    );
+    if (!flag) {
+      return res.status(404).json({ success: false, message: 'Flag not found' });
+    }
+
+    res.json({ success: true, message: status === 'confirmed' ? 'Flag confirmed' : 'Flag dismissed', data: flag });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    if (!['approved', 'rejected'].includes(status)) {
-      return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+// @desc    Reason codes a product can be rejected with (admin)
+// @route   GET /api/products/admin/rejection-reasons
+router.get('/admin/rejection-reasons', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, (req, res) => {
+  res.json({ success: true, data: listRejectionReasons('product') });
+});
+
+// @desc    Approve/Reject product (admin); rejections need reason codes, the seller is emailed
+// @route   PUT /api/products/admin/:id/approval
+router.put('/admin/:id/approval', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const decision = parseDecision('product', req.body); // status: 'approved' or 'rejected'
+    if (decision.error) {
+      return res.status(400).json({ success: false, message: decision.error });
     }
 
     const product = await Product.findById(req.params.id);
@@ -457,10 +756,19 @@ router.put('/admin/:id/approval', protect, roleGuard('admin'), async (req, res)
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    product.isApproved = status;
+    applyDecision(product, decision);
     await product.save();
+    await settleAppliedRevisions(product, decision.status, req.user._id);
+    await recordModeration('product', product, {
+      owner: product.seller,
+      action: decision.status,
+      reasons: decision.reasons,
+      note: decision.note,
+      actor: req.user._id,
+    });
+    notifyDecision('product', product, decision);
 
-    res.json({ success: true, message: `Product ${status}`, data: product });
+    res.json({ success: true, message: `Product ${decision.status}`, data: product });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -468,7 +776,7 @@ router.put('/admin/:id/approval', protect, roleGuard('admin'), async (req, res)
 
 // @desc    Toggle featured (admin)
 // @route   PUT /api/products/admin/:id/featured
-router.put('/admin/:id/featured', protect, roleGuard('admin'), async (req, res) => {
+router.put('/admin/:id/featured', protect, requirePermission('catalog.moderate'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -0,0 +1,390 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Question = require('../models/Question');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { protect, optionalAuth } = require('../middleware/auth');
+const roleGuard = require('../middleware/roleGuard');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { escapeRegex } = require('../utils/helpers');
+
+const MAX_PAGE_SIZE = 20;
+
+// Buyers who received the product may answer too, unless QA_BUYER_ANSWERS=false
+const buyerAnswersEnabled = () => process.env.QA_BUYER_ANSWERS !== 'false';
+
+const paging = (query, defaultLimit = 10) => {
+  const page = Math.max(Number(query.page) || 1, 1);
+  const limit = Math.min(Number(query.limit) || defaultLimit, MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Questions or answers containing `search`
+const searchFilter = (search) => {
+  if (!search || !String(search).trim()) return {};
+  const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+  return { $or: [{ text: pattern }, { answers: { $elemMatch: { text: pattern, status: 'published' } } }] };
+};
+
+// What the product page shows: published answers, the seller's first, then by upvotes.
+// `upvotedBy` is replaced by whether the current visitor upvoted.
+const toPublicQuestion = (question, userId) => {
+  const answers = question.answers
+    .filter(answer => answer.status === 'published')
+    .map(({ upvotedBy = [], ...answer }) => ({
+      ...answer,
+      upvoted: Boolean(userId) && upvotedBy.some(id => String(id) === String(userId)),
+    }))
+    .sort((a, b) => (a.role === 'seller') === (b.role === 'seller')
+      ? b.upvotes - a.upvotes || new Date(a.createdAt) - new Date(b.createdAt)
+      : (a.role === 'seller' ? -1 : 1));
+  return { ...question, answers };
+};
+
+// @desc    Questions and answers for a product (paginated, searchable)
+// @route   GET /api/questions/product/:productId
+// @access  Public
+router.get('/product/:productId', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+    const { page, limit, skip } = paging(req.query, 5);
+    const filter = { product: req.params.productId, status: 'published', ...searchFilter(req.query.search) };
+    const sort = req.query.sort === 'most_answered' ? '-answerCount -createdAt' : '-createdAt';
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .populate('user', 'name')
+        .populate('answers.user', 'name')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: questions.map(q => toPublicQuestion(q, req.user?._id)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Ask a question about a product
+// @route   POST /api/questions
+// @access  Private (Buyer)
+router.post('/', protect, roleGuard('buyer'), requireVerifiedEmail('questions'), async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const text = String(req.body.text || '').trim();
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+
+    const product = await Product.findOne({ _id: productId, isActive: true, isApproved: 'approved' }).select('seller');
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const duplicate = await Question.exists({ product: product._id, user: req.user._id, text });
+    if (duplicate) {
+      return res.status(400).json({ success: false, message: 'You have already asked this question' });
+    }
+
+    const question = await Question.create({
+      product: product._id,
+      seller: product.seller,
+      user: req.user._id,
+      text,
+    });
+
+    await question.populate('user', 'name');
+    res.status(201).json({ success: true, message: 'Question posted', data: question });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Answer a question — the product's seller, or a buyer who received the product
+// @route   POST /api/questions/:id/answers
+// @access  Private
+router.post('/:id/answers', protect, requireVerifiedEmail('questions'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid question id' });
+    }
+    const question = await Question.findOne({ _id: req.params.id, status: 'published' });
+    if (!question) return res.status(404).json({ success: false, message: 'Question not found' });
+
+    let role = null;
+    if (String(question.seller) === String(req.user._id)) {
+      role = 'seller';
+    } else if (req.user.role === 'buyer' && buyerAnswersEnabled()) {
+      const purchased = await Order.exists({
+        user: req.user._id,
+        'items.product': question.product,
+        orderStatus: 'delivered',
+      });
+      if (purchased) role = 'buyer';
+    }
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: buyerAnswersEnabled()
+          ? 'Only the seller and customers who bought this product can answer'
+          : 'Only the seller can answer questions about this product',
+      });
+    }
+
+    if (question.answers.some(answer => String(answer.user) === String(req.user._id))) {
+      return res.status(400).json({ success: false, message: 'You have already answered this question' });
+    }
+
+    question.answers.push({
+      user: req.user._id,
+      role,
+      isVerifiedPurchase: role === 'buyer',
+      text: String(req.body.text || '').trim(),
+    });
+    await question.save();
+
+    await question.populate([{ path: 'user', select: 'name' }, { path: 'answers.user', select: 'name' }]);
+    res.status(201).json({
+      success: true,
+      message: 'Answer posted',
+      data: toPublicQuestion(question.toObject(), req.user._id),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Upvote an answer, or take the upvote back
+// @route   POST /api/questions/:id/answers/:answerId/upvote
+// @access  Private
+router.post('/:id/answers/:answerId/upvote', protect, async (req, res) => {
+  try {
+    const { id, answerId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(answerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid answer id' });
+    }
+
+    const question = await Question.findOne(
+      { _id: id, status: 'published', 'answers._id': answerId },
+      { 'answers.$': 1 }
+    ).lean();
+    const answer = question?.answers[0];
+    if (!answer || answer.status !== 'published') {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+    if (String(answer.user) === String(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'You cannot upvote your own answer' });
+    }
+
+    // Conditional updates, so double clicks can't count twice
+    const userId = req.user._id;
+    let upvoted = true;
+    let updated = await Question.findOneAndUpdate(
+      { _id: id, answers: { $elemMatch: { _id: answerId, upvotedBy: { $ne: userId } } } },
+      { $addToSet: { 'answers.$.upvotedBy': userId }, $inc: { 'answers.$.upvotes': 1 } },
+      { new: true, projection: { answers: { $elemMatch: { _id: answerId } } } }
+    );
+    if (!updated) {
+      upvoted = false;
+      updated = await Question.findOneAndUpdate(
+        { _id: id, answers: { $elemMatch: { _id: answerId, upvotedBy: userId } } },
+        { $pull: { 'answers.$.upvotedBy': userId }, $inc: { 'answers.$.upvotes': -1 } },
+        { new: true, projection: { answers: { $elemMatch: { _id: answerId } } } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: upvoted ? 'Marked as helpful' : 'Upvote removed',
+      data: { upvoted, upvotes: updated ? updated.answers[0].upvotes : answer.upvotes },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete a question (the asker, or a Q&A moderator)
+// @route   DELETE /api/questions/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid question id' });
+    }
+    const filter = { _id: req.params.id };
+    if (!(await hasPermission(req.user, 'questions.moderate'))) filter.user = req.user._id;
+
+    const question = await Question.findOneAndDelete(filter);
+    if (!question) return res.status(404).json({ success: false, message: 'Question not found' });
+
+    res.json({ success: true, message: 'Question deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete an answer (its author, or a Q&A moderator)
+// @route   DELETE /api/questions/:id/answers/:answerId
+// @access  Private
+router.delete('/:id/answers/:answerId', protect, async (req, res) => {
+  try {
+    const { id, answerId } = req.params;
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(answerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid answer id' });
+    }
+    const question = await Question.findById(id);
+    const answer = question?.answers.id(answerId);
+    if (!answer) return res.status(404).json({ success: false, message: 'Answer not found' });
+
+    if (String(answer.user) !== String(req.user._id) && !(await hasPermission(req.user, 'questions.moderate'))) {
+      return res.status(404).json({ success: false, message: 'Answer not found' });
+    }
+
+    answer.deleteOne();
+    await question.save();
+    res.json({ success: true, message: 'Answer deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Seller's Q&A inbox — unanswered questions first
+// @route   GET /api/questions/seller/inbox?status=pending|answered|all
+// @access  Private (Seller)
+router.get('/seller/inbox', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { page, limit, skip } = paging(req.query);
+    const base = { seller: req.user._id, status: 'published' };
+    const filter = { ...base, ...searchFilter(req.query.search) };
+    const status = req.query.status || 'pending';
+    if (status === 'pending') filter.sellerAnswered = false;
+    if (status === 'answered') filter.sellerAnswered = true;
+
+    const [questions, total, pendingCount] = await Promise.all([
+      Question.find(filter)
+        .populate('user', 'name')
+        .populate('answers.user', 'name')
+        .populate('product', 'name slug images')
+        .sort(status === 'pending' ? 'createdAt' : '-createdAt')
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Question.countDocuments(filter),
+      Question.countDocuments({ ...base, sellerAnswered: false }),
+    ]);
+
+    res.json({
+      success: true,
+      data: questions.map(q => toPublicQuestion(q, req.user._id)),
+      pendingCount,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    All questions for moderation, hidden ones and hidden answers included
+// @route   GET /api/questions/admin/all?status=published|hidden&search=
+// @access  Private (questions.moderate)
+router.get('/admin/all', protect, requirePermission('questions.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { page, limit, skip } = paging(req.query);
+    const search = req.query.search && String(req.query.search).trim();
+    const filter = {};
+    if (['published', 'hidden'].includes(req.query.status)) filter.status = req.query.status;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ text: pattern }, { 'answers.text': pattern }];
+    }
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .select('-answers.upvotedBy')
+        .populate('user', 'name email')
+        .populate('answers.user', 'name email')
+        .populate('product', 'name slug')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Question.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, data: questions, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Hide or restore a question
+// @route   PUT /api/questions/admin/:id/status
+// @access  Private (questions.moderate)
+router.put('/admin/:id/status', protect, requirePermission('questions.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['published', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be published or hidden' });
+    }
+    const question = await Question.findByIdAndUpdate(req.params.id, { status }, { new: true });
+    if (!question) return res.status(404).json({ success: false, message: 'Question not found' });
+
+    res.json({ success: true, message: status === 'hidden' ? 'Question hidden' : 'Question restored', data: { status } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Hide or restore an answer
+// @route   PUT /api/questions/admin/:id/answers/:answerId/status
+// @access  Private (questions.moderate)
+router.put('/admin/:id/answers/:answerId/status', protect, requirePermission('questions.moderate'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['published', 'hidden'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be published or hidden' });
+    }
+    const question = await Question.findById(req.params.id);
+    const answer = question?.answers.id(req.params.answerId);
+    if (!answer) return res.status(404).json({ success: false, message: 'Answer not found' });
+
+    answer.status = status;
+    await question.save();
+    res.json({ success: true, message: status === 'hidden' ? 'Answer hidden' : 'Answer restored', data: { status } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Questions I asked and answers I wrote
+// @route   GET /api/questions/my
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+  try {
+    const questions = await Question.find({ $or: [{ user: req.user._id }, { 'answers.user': req.user._id }] })
+      .select('-answers.upvotedBy')
+      .populate('product', 'name slug images')
+      .sort('-createdAt');
+
+    res.json({ success: true, data: questions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
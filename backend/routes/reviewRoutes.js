@@ -5,6 +5,8 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { hasPermission } = require('../middleware/permissions');
 
 // @desc    Get reviews for a product
 // @route   GET /api/reviews/product/:productId
@@ -45,7 +47,7 @@ router.get('/product/:productId', async (req, res) => {
 
 // @desc    Add review
 // @route   POST /api/reviews
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, requireVerifiedEmail('reviews'), async (req, res) => {
   try {
     const { productId, rating, title, comment } = req.body;
 
@@ -103,7 +105,7 @@ router.put('/:id', protect, async (req, res) => {
 router.delete('/:id', protect, async (req, res) => {
   try {
     const filter = { _id: req.params.id };
-    if (req.user.role !== 'admin') filter.user = req.user._id;
+    if (!(await hasPermission(req.user, 'reviews.moderate'))) filter.user = req.user._id;
 
     const review = await Review.findOneAndDelete(filter);
     if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { requireStepUp, requireTwoFactorEnrollment } = require('../middleware/stepUp');
+const { hasPermission } = require('../middleware/permissions');
 
 // @desc    Get seller dashboard stats
 // @route   GET /api/sellers/dashboard
 // @access  Private (Seller only)
-router.get('/dashboard', protect, roleGuard('seller'), async (req, res) => {
+router.get('/dashboard', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
   try {
     const Seller = require('../models/Seller');
     const seller = await Seller.findOne({ userId: req.user._id });
@@ -32,25 +34,51 @@ router.get('/dashboard', protect, roleGuard('seller'), async (req, res) => {
   }
 });
 
+// Staff viewing as a seller only see the seller's bank details with payouts.read
+const hidesBankDetails = async req => Boolean(req.impersonator) && !(await hasPermission(req.impersonator, 'payouts.read'));
+
 // @desc    Get seller profile
 // @route   GET /api/sellers/profile
 // @access  Private (Seller only)
 const getSellerProfile = async (req, res) => {
   try {
     const Seller = require('../models/Seller');
-    const seller = await Seller.findOne({ userId: req.user._id });
+    const seller = await Seller.findOne({ userId: req.user._id })
+      .select(await hidesBankDetails(req) ? '-bankDetails' : '');
     res.json({ success: true, data: seller });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
 };
+// No 2FA enrollment check: the profile page is where a seller who must enroll sets it up
 router.get('/profile', protect, roleGuard('seller'), getSellerProfile);
 router.get('/me', protect, roleGuard('seller'), getSellerProfile); // alias for frontend
 
+// A save from a view without the bank details must not blank them
+const dropHiddenBankDetails = async (req, res, next) => {
+  try {
+    req.hidesBankDetails = await hidesBankDetails(req);
+    if (req.hidesBankDetails) delete req.body.bankDetails;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Payout details only need re-authentication when they actually change
+const bankDetailsChanged = async (req) => {
+  if (req.body.bankDetails === undefined) return false;
+  const Seller = require('../models/Seller');
+  const seller = await Seller.findOne({ userId: req.user._id }).select('bankDetails');
+  const current = seller?.bankDetails || {};
+  return ['accountHolderName', 'accountNumber', 'ifscCode', 'bankName']
+    .some(field => (req.body.bankDetails?.[field] ?? '') !== (current[field] ?? ''));
+};
+
 // @desc    Update seller profile
 // @route   PUT /api/sellers/profile
-// @access  Private (Seller only)
-router.put('/profile', protect, roleGuard('seller'), async (req, res) => {
+// @access  Private (Seller only; bank detail changes need a step-up token)
+router.put('/profile', protect, roleGuard('seller'), requireTwoFactorEnrollment, dropHiddenBankDetails, requireStepUp({ when: bankDetailsChanged }), async (req, res) => {
   try {
     const Seller = require('../models/Seller');
     // Whitelist allowed fields to prevent mass assignment
@@ -63,11 +91,61 @@ router.put('/profile', protect, roleGuard('seller'), async (req, res) => {
       { userId: req.user._id },
       { $set: updates },
       { new: true, runValidators: true }
-    );
+    ).select(req.hidesBankDetails ? '-bankDetails' : '');
     res.json({ success: true, message: 'Profile updated', data: seller });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// @desc    Send a rejected seller application back for review after updating the profile
+// @route   POST /api/sellers/resubmit
+// @access  Private (Seller only)
+router.post('/resubmit', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const Seller = require('../models/Seller');
+    const { NOTE_MAX_LENGTH, recordModeration } = require('../services/moderationService');
+    const seller = await Seller.findOne({ userId: req.user._id });
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller profile not found' });
+    }
+    if (seller.isApproved !== 'rejected') {
+      return res.status(400).json({ success: false, message: 'Only a rejected application can be resubmitted' });
+    }
+
+    // The last rejection stays on the profile so the moderator can check it was addressed
+    seller.isApproved = 'pending';
+    await seller.save();
+    await recordModeration('seller', seller, {
+      owner: req.user._id,
+      action: 'resubmitted',
+      note: String(req.body.note || '').trim().slice(0, NOTE_MAX_LENGTH),
+      actor: req.user._id,
+    });
+
+    res.json({ success: true, message: 'Application resubmitted for review', data: seller });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Moderation history of the seller's own application, newest first
+// @route   GET /api/sellers/moderation
+// @access  Private (Seller only)
+router.get('/moderation', protect, roleGuard('seller'), requireTwoFactorEnrollment, async (req, res) => {
+  try {
+    const Seller = require('../models/Seller');
+    const { getModerationHistory } = require('../services/moderationService');
+    const seller = await Seller.findOne({ userId: req.user._id }).select('_id');
+    if (!seller) {
+      return res.status(404).json({ success: false, message: 'Seller profile not found' });
+    }
+
+    const events = await getModerationHistory('seller', seller._id);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
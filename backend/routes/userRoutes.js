@@ -1,7 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const roleGuard = require('../middleware/roleGuard');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
+const { requireStepUp } = require('../middleware/stepUp');
+const { startSession, clearRefreshCookie } = require('../controllers/authController');
+const { onCredentialsChanged } = require('../services/credentialService');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -13,19 +18,28 @@ router.get('/profile', protect, async (req, res) => {
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
-router.put('/profile', protect, async (req, res) => {
+router.put('/profile', protect, blockWhileImpersonating('edit profile details'), async (req, res) => {
   try {
     const User = require('../models/User');
     const { name, phone, avatar } = req.body;
 
     const user = await User.findById(req.user._id);
     if (name) user.name = name;
-    if (phone) user.phone = phone;
+    if (phone && phone !== user.phone) {
+      if (await User.exists({ phone, _id: { $ne: user._id } })) {
+        return res.status(400).json({ success: false, message: 'An account with this phone number already exists' });
+      }
+      user.phone = phone;
+      user.isPhoneVerified = false;
+    }
     if (avatar) user.avatar = avatar;
 
     await user.save();
     res.json({ success: true, message: 'Profile updated successfully', data: user });
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'An account with this phone number already exists' });
+    }
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -33,7 +47,7 @@ router.put('/profile', protect, async (req, res) => {
 // @desc    Change password
 // @route   PUT /api/users/change-password
 // @access  Private
-router.put('/change-password', protect, async (req, res) => {
+router.put('/change-password', protect, blockWhileImpersonating('change the password'), async (req, res) => {
   try {
     const User = require('../models/User');
     const { currentPassword, newPassword } = req.body;
@@ -46,9 +60,14 @@ router.put('/change-password', protect, async (req, res) => {
     }
 
     user.password = newPassword;
+    user.passwordChangedAt = new Date();
     await user.save();
 
-    res.json({ success: true, message: 'Password changed successfully' });
+    // Sign out everywhere, then start a fresh session for the device that made the change
+    await onCredentialsChanged(user, { reason: 'password_changed', req });
+    const token = await startSession(req, res, user);
+
+    res.json({ success: true, message: 'Password changed successfully', data: { token } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
@@ -82,4 +101,110 @@ router.post('/addresses', protect, async (req, res) => {
   }
 });
 
+// Signed-in visitors are authenticated as usual (so expired tokens get refreshed);
+// anonymous ones are identified by the X-Device-Id header instead
+const protectIfSignedIn = (req, res, next) => (req.headers.authorization ? protect(req, res, next) : next());
+
+// @desc    Products the visitor viewed recently (signed-in buyer, or anonymous device)
+// @route   GET /api/users/me/recently-viewed
+// @access  Public
+router.get('/me/recently-viewed', protectIfSignedIn, async (req, res) => {
+  try {
+    const { getViewer, getRecentlyViewed, RECENTLY_VIEWED_LIMIT } = require('../services/browsingHistoryService');
+    const viewer = getViewer(req);
+    const limit = Math.min(Number(req.query.limit) || RECENTLY_VIEWED_LIMIT, RECENTLY_VIEWED_LIMIT);
+    const products = viewer ? await getRecentlyViewed(viewer, { limit }) : [];
+
+    res.json({ success: true, count: products.length, data: products });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Clear browsing history, or remove one product from it
+// @route   DELETE /api/users/me/recently-viewed(/:productId)
+// @access  Public
+router.delete(['/me/recently-viewed', '/me/recently-viewed/:productId'], protectIfSignedIn, blockWhileImpersonating('clear browsing history'), async (req, res) => {
+  try {
+    const { getViewer, clearHistory } = require('../services/browsingHistoryService');
+    const viewer = getViewer(req);
+    if (!viewer) {
+      return res.status(400).json({ success: false, message: 'No browsing history to clear' });
+    }
+    if (req.params.productId && !mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(400).json({ success: false, message: 'Invalid product id' });
+    }
+
+    const removed = await clearHistory(viewer, req.params.productId);
+    res.json({
+      success: true,
+      message: req.params.productId ? 'Removed from recently viewed' : 'Browsing history cleared',
+      data: { removed },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Download everything we hold about the logged in user (?format=json|zip)
+// @route   GET /api/users/me/export
+// @access  Private
+router.get('/me/export', protect, blockWhileImpersonating('export personal data'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be json or zip' });
+    }
+
+    const { buildDataExport, writeDataExportZip } = require('../services/accountService');
+    const data = await buildDataExport(req.user._id);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="dealify-data-${date}.${format}"`);
+    if (format === 'zip') {
+      res.setHeader('Content-Type', 'application/zip');
+      return await writeDataExportZip(data, res);
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    // A ZIP that fails part-way has already started sending; cut it off rather than reply
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Check whether the account can be deleted right now
+// @route   GET /api/users/me/deletion
+// @access  Private
+router.get('/me/deletion', protect, async (req, res) => {
+  try {
+    const { getDeletionBlockers } = require('../services/accountService');
+    const blockers = await getDeletionBlockers(req.user);
+    res.json({ success: true, data: { canDelete: blockers.length === 0, blockers } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @desc    Delete the account — anonymises personal data, keeps order and payment records
+// @route   DELETE /api/users/me
+// @access  Private (needs a step-up token)
+router.delete('/me', protect, blockWhileImpersonating('delete the account'), requireStepUp(), async (req, res) => {
+  try {
+    const { getDeletionBlockers, deleteAccount } = require('../services/accountService');
+
+    const blockers = await getDeletionBlockers(req.user);
+    if (blockers.length) {
+      return res.status(409).json({ success: false, message: blockers.join(' '), data: { blockers } });
+    }
+
+    await deleteAccount(req.user, { req });
+    clearRefreshCookie(res);
+
+    res.json({ success: true, message: 'Your account has been deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
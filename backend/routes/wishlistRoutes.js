@@ -17,8 +17,8 @@ router.get('/', protect, roleGuard('buyer'), async (req, res) => {
       wishlist = await Wishlist.create({ user: req.user._id, products: [] });
     }
 
-    // Remove deactivated products
-    wishlist.products = wishlist.products.filter(p => p && p.isActive);
+    // Drop products that were purged; archived or deactivated ones stay, shown as no longer available
+    wishlist.products = wishlist.products.filter(p => p);
     await wishlist.save();
 
     res.json({ success: true, data: wishlist });
@@ -50,6 +50,7 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
+  exposedHeaders: ['Content-Disposition'],
 }));
 app.use(helmet());
 app.use(compression());
@@ -85,13 +86,18 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/sellers', require('./routes/sellerRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/categories', require('./routes/categoryRoutes'));
+app.use('/api/products/import', require('./routes/productImportRoutes'));
+app.use('/api/products/revisions', require('./routes/productRevisionRoutes'));
+app.use('/api/products/inventory', require('./routes/productInventoryRoutes'));
 app.use('/api/products', require('./routes/productRoutes'));
 app.use('/api/cart', require('./routes/cartRoutes'));
 app.use('/api/wishlist', require('./routes/wishlistRoutes'));
 app.use('/api/addresses', require('./routes/addressRoutes'));
 app.use('/api/orders', require('./routes/orderRoutes'));
 app.use('/api/reviews', require('./routes/reviewRoutes'));
+app.use('/api/questions', require('./routes/questionRoutes'));
 app.use('/api/coupons', require('./routes/couponRoutes'));
+app.use('/api/deals', require('./routes/dealRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
 app.use('/api/upload', require('./routes/uploadRoutes'));
 
@@ -121,6 +127,9 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
+  // Background jobs are required here, after dotenv, so their settings come from .env
+  require('./services/recommendationService').startRecommendationJob();
+  require('./services/productArchiveService').startArchivePurgeJob();
   if (!isProduction) {
     logger.info(`Dealify Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Address = require('../models/Address');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const RefreshToken = require('../models/RefreshToken');
+const LoginHistory = require('../models/LoginHistory');
+const PhoneOtp = require('../models/PhoneOtp');
+const ProductView = require('../models/ProductView');
+const Question = require('../models/Question');
+const logger = require('../utils/logger');
+const { sendSecurityAlert } = require('./emailService');
+
+// Delivered items stay unsettled (returnable, not yet paid out) for this many days
+const SELLER_SETTLEMENT_DAYS = Number(process.env.SELLER_SETTLEMENT_DAYS || 7);
+
+const OPEN_ITEM_STATUSES = ['pending', 'confirmed', 'shipped'];
+const DELETED_NAME = 'Deleted User';
+
+// Everything we hold about a user, in one JSON-serialisable bundle
+async function buildDataExport(userId) {
+  const user = await User.findById(userId).populate('wishlist', 'name slug price');
+
+  const [addresses, orders, reviews, questions, wishlist, cart, seller, browsingHistory] = await Promise.all([
+    Address.find({ user: userId }).sort({ createdAt: -1 }),
+    Order.find({ user: userId }).sort({ createdAt: -1 }),
+    Review.find({ user: userId }).populate('product', 'name slug').sort({ createdAt: -1 }),
+    Question.find({ $or: [{ user: userId }, { 'answers.user': userId }] })
+      .select('-answers.upvotedBy')
+      .populate('product', 'name slug')
+      .sort({ createdAt: -1 }),
+    Wishlist.findOne({ user: userId }).populate('products', 'name slug price'),
+    Cart.findOne({ user: userId }).populate('items.product', 'name slug'),
+    user.role === 'seller' ? Seller.findOne({ userId }) : null,
+    ProductView.find({ user: userId }).populate('product', 'name slug').sort({ lastViewedAt: -1 }),
+  ]);
+
+  const profile = user.toJSON();
+  const savedAddresses = profile.addresses;
+  delete profile.addresses;
+  delete profile.wishlist;
+  delete profile.failedLoginAttempts;
+  delete profile.lockUntil;
+  delete profile.lockoutCount;
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    addresses: {
+      profileAddresses: savedAddresses,
+      addressBook: addresses,
+    },
+    orders,
+    reviews,
+    questions,
+    wishlist: {
+      products: wishlist ? wishlist.products : [],
+      legacyProfileWishlist: user.wishlist,
+    },
+    cart: cart ? cart.items : [],
+    browsingHistory,
+    seller,
+  };
+}
+
+// The same bundle as a ZIP with one JSON file per section, written to `output` (a response)
+async function writeDataExportZip(data, output) {
+  const { exportedAt, ...sections } = data;
+  const archive = archiver('zip');
+  archive.pipe(output);
+  Object.entries(sections).forEach(([name, value]) => {
+    archive.append(JSON.stringify(value ?? null, null, 2), { name: `${name}.json`, date: exportedAt });
+  });
+  await archive.finalize();
+}
+
+// Reasons a user can't delete their account yet — empty when deletion may go ahead
+async function getDeletionBlockers(user) {
+  if (user.role === 'admin' || user.role === 'staff') {
+    return ['Admin and staff accounts must be removed by a super-admin.'];
+  }
+  // Orders still on their way need the buyer's name and address to be delivered
+  if (user.role !== 'seller') {
+    const openOrders = await Order.countDocuments({ user: user._id, 'items.status': { $in: OPEN_ITEM_STATUSES } });
+    return openOrders > 0
+      ? [`You have ${openOrders} order${openOrders === 1 ? '' : 's'} still on the way. You can delete your account once ${openOrders === 1 ? 'it is' : 'they are'} delivered or cancelled.`]
+      : [];
+  }
+
+  const blockers = [];
+  const settledBefore = new Date(Date.now() - SELLER_SETTLEMENT_DAYS * 24 * 60 * 60 * 1000);
+
+  const [openOrders, unsettled] = await Promise.all([
+    Order.countDocuments({
+      items: { $elemMatch: { seller: user._id, status: { $in: OPEN_ITEM_STATUSES } } },
+    }),
+    Order.aggregate([
+      { $unwind: '$items' },
+      {
+        $match: {
+          'items.seller': user._id,
+          'items.status': 'delivered',
+          'items.deliveredAt': { $gt: settledBefore },
+        },
+      },
+      { $group: { _id: null, amount: { $sum: { $multiply: ['$items.price', '$items.quantity'] } } } },
+    ]),
+  ]);
+
+  if (openOrders > 0) {
+    blockers.push(`You have ${openOrders} open order${openOrders === 1 ? '' : 's'}. Ship or cancel them first.`);
+  }
+  if (unsettled.length && unsettled[0].amount > 0) {
+    blockers.push(`₹${unsettled[0].amount.toLocaleString('en-IN')} in earnings is still within the ${SELLER_SETTLEMENT_DAYS}-day settlement period.`);
+  }
+
+  return blockers;
+}
+
+// Anonymises the account in place. Orders, reviews and seller records are kept for
+// accounting and ratings, but every piece of personal data on them is scrubbed.
+async function deleteAccount(user, { req } = {}) {
+  const anonymousEmail = `deleted-${user._id}@deleted.dealify`;
+
+  // Last message to the real address, before it is removed
+  try {
+    await sendSecurityAlert(user, {
+      heading: 'Your account has been deleted',
+      message: 'Your Dealify account and personal data have been deleted. Order and payment records are kept without your personal details, as required for accounting.',
+      ipAddress: req ? req.ip || req.connection?.remoteAddress || '' : '',
+      userAgent: req ? req.headers['user-agent'] || '' : '',
+    });
+  } catch (emailError) {
+    logger.error(`Account deletion email failed: ${emailError.message}`);
+  }
+
+  // Only finished orders: an open one still has to reach the address on it
+  await Order.updateMany(
+    { user: user._id, 'items.status': { $nin: OPEN_ITEM_STATUSES } },
+    {
+      $set: {
+        'shippingAddress.name': DELETED_NAME,
+        'shippingAddress.phone': '',
+        'shippingAddress.addressLine1': '',
+        'shippingAddress.addressLine2': '',
+        'shippingAddress.landmark': '',
+        notes: '',
+      },
+    }
+  );
+  await Review.updateMany({ user: user._id }, { $set: { images: [] } });
+
+  await Promise.all([
+    Address.deleteMany({ user: user._id }),
+    Cart.deleteOne({ user: user._id }),
+    Wishlist.deleteOne({ user: user._id }),
+    LoginHistory.deleteMany({ user: user._id }),
+    ProductView.deleteMany({ user: user._id }),
+    user.phone ? PhoneOtp.deleteMany({ phone: user.phone }) : null,
+    RefreshToken.revokeAllForUser(user._id, 'account_deleted'),
+  ]);
+
+  if (user.role === 'seller') {
+    await Product.updateMany({ seller: user._id }, { isActive: false });
+    // GSTIN and store name stay on record for issued invoices
+    await Seller.updateOne(
+      { userId: user._id },
+      {
+        $set: {
+          phone: '',
+          storeLogo: '',
+          documents: [],
+          bankDetails: { accountHolderName: '', accountNumber: '', ifscCode: '', bankName: '' },
+        },
+        $unset: { panNumber: 1, businessAddress: 1 },
+      }
+    );
+  }
+
+  // Validators are skipped on purpose: the placeholder email and missing phone would not pass them.
+  // The phone is removed rather than blanked so the unique index leaves the number free.
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_NAME,
+        email: anonymousEmail,
+        avatar: '',
+        addresses: [],
+        wishlist: [],
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        isActive: false,
+        isPhoneVerified: false,
+        twoFactorEnabled: false,
+        deletedAt: new Date(),
+      },
+      $unset: {
+        phone: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorBackupCodes: 1,
+        twoFactorLastUsedStep: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        lockUntil: 1,
+      },
+      $inc: { tokenVersion: 1 },
+    }
+  );
+
+  logger.info('Account deleted', { userId: String(user._id), role: user.role });
+}
+
+module.exports = { buildDataExport, writeDataExportZip, getDeletionBlockers, deleteAccount };
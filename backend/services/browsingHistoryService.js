@@ -0,0 +1,95 @@
+const Product = require('../models/Product');
+const ProductView = require('../models/ProductView');
+const logger = require('../utils/logger');
+
+const RECENTLY_VIEWED_LIMIT = 20;
+// Reloading a product within this window doesn't count as another view
+const REPEAT_VIEW_WINDOW_MS = 30 * 60 * 1000;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const CARD_FIELDS = 'name slug price mrp discount images rating numReviews stock';
+
+// The browser's anonymous id (X-Device-Id header), when it looks like one we issued
+function getDeviceId(req) {
+  const deviceId = req.get('X-Device-Id');
+  return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+}
+
+// Whose history a request belongs to: the signed-in buyer, otherwise the anonymous device.
+// Sellers, staff and admins have no browsing history.
+function getViewer(req) {
+  if (req.user) return req.user.role === 'buyer' ? { user: req.user._id } : null;
+  const deviceId = getDeviceId(req);
+  return deviceId ? { deviceId } : null;
+}
+
+async function saveProductView(req, product) {
+  const sellerId = product.seller?._id || product.seller;
+  if (req.user && String(req.user._id) === String(sellerId)) return;
+
+  const now = new Date();
+  let repeat = false;
+  const viewer = getViewer(req);
+  if (viewer) {
+    const previous = await ProductView.findOneAndUpdate(
+      { ...viewer, product: product._id },
+      { $set: { lastViewedAt: now }, $inc: { views: 1 } },
+      { upsert: true, new: false }
+    );
+    repeat = Boolean(previous) && now - previous.lastViewedAt < REPEAT_VIEW_WINDOW_MS;
+  }
+
+  // updateOne on purpose: a view shouldn't trigger a search index sync
+  if (!repeat) await Product.updateOne({ _id: product._id }, { $inc: { viewCount: 1 } });
+}
+
+// Fire-and-forget, from the product page
+function recordProductView(req, product) {
+  saveProductView(req, product).catch(error => logger.error(`Product view log failed: ${error.message}`));
+}
+
+// Moves what a browser viewed while signed out onto the account that just signed in on it
+async function mergeDeviceHistory(req, user) {
+  const deviceId = getDeviceId(req);
+  if (!deviceId || user.role !== 'buyer') return;
+
+  const rows = await ProductView.find({ deviceId }).lean();
+  if (!rows.length) return;
+
+  await ProductView.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { user: user._id, product: row.product },
+      update: { $max: { lastViewedAt: row.lastViewedAt }, $inc: { views: row.views } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  await ProductView.deleteMany({ deviceId });
+}
+
+// Most recent first; products that were since hidden are skipped
+async function getRecentlyViewed(viewer, { limit = RECENTLY_VIEWED_LIMIT } = {}) {
+  const rows = await ProductView.find(viewer)
+    .sort({ lastViewedAt: -1 })
+    .limit(limit * 2)
+    .populate({ path: 'product', select: CARD_FIELDS, match: { isActive: true, isApproved: 'approved' } })
+    .lean();
+
+  return rows
+    .filter(row => row.product)
+    .slice(0, limit)
+    .map(row => ({ ...row.product, viewedAt: row.lastViewedAt }));
+}
+
+// Whole history, or one product when `productId` is given
+async function clearHistory(viewer, productId) {
+  const { deletedCount } = await ProductView.deleteMany({ ...viewer, ...(productId ? { product: productId } : {}) });
+  return deletedCount;
+}
+
+module.exports = {
+  RECENTLY_VIEWED_LIMIT,
+  getViewer,
+  recordProductView,
+  mergeDeviceHistory,
+  getRecentlyViewed,
+  clearHistory,
+};
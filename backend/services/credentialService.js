@@ -0,0 +1,56 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../utils/logger');
+const { sendSecurityAlert } = require('./emailService');
+
+const NOTIFICATIONS = {
+  password_changed: {
+    heading: 'Your password was changed',
+    message: 'The password for your Dealify account was just changed. All other devices have been signed out.',
+  },
+  password_reset: {
+    heading: 'Your password was reset',
+    message: 'The password for your Dealify account was just reset using a reset token. All devices have been signed out.',
+  },
+  two_factor_reset: {
+    heading: 'Two-factor authentication was reset',
+    message: 'An administrator reset two-factor authentication on your Dealify account. All devices have been signed out and you will need to set up your authenticator app again.',
+  },
+};
+
+// Central hook for anything that must end every existing session of a user:
+// revokes all refresh tokens and bumps tokenVersion so outstanding access JWTs
+// fail in `protect`. Call it AFTER the credential change has been saved.
+async function onCredentialsChanged(user, { reason, req } = {}) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  user.tokenVersion = updated ? updated.tokenVersion : (user.tokenVersion || 0) + 1;
+
+  const revokedCount = await RefreshToken.revokeAllForUser(user._id, 'credentials_changed');
+
+  logger.info('Security event: credentials changed', {
+    userId: String(user._id),
+    reason,
+    revokedCount,
+  });
+
+  const notification = NOTIFICATIONS[reason];
+  if (notification) {
+    try {
+      await sendSecurityAlert(user, {
+        ...notification,
+        ipAddress: req ? req.ip || req.connection?.remoteAddress || '' : '',
+        userAgent: req ? req.headers['user-agent'] || '' : '',
+      });
+    } catch (emailError) {
+      logger.error(`Credential change email failed: ${emailError.message}`);
+    }
+  }
+
+  return revokedCount;
+}
+
+module.exports = { onCredentialsChanged };
@@ -0,0 +1,149 @@
+const Deal = require('../models/Deal');
+const Order = require('../models/Order');
+
+// A buyer who checked out while a deal was live may still pay for it this long after it ends
+const DEAL_CHECKOUT_GRACE_MINUTES = Number(process.env.DEAL_CHECKOUT_GRACE_MINUTES || 15);
+
+const liveFilter = (now = new Date()) => ({
+  isActive: true,
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+  $or: [{ quantity: 0 }, { $expr: { $lt: ['$soldCount', '$quantity'] } }],
+});
+
+// The deal currently running for a product (or one of its SKUs), if any
+function findLiveDeal(productId, variantId = null, { session, now } = {}) {
+  return Deal.findOne({ ...liveFilter(now), product: productId, variant: variantId || null })
+    .sort({ price: 1 })
+    .session(session || null);
+}
+
+// Units of a deal this buyer already bought at the deal price. Unpaid online orders don't count
+// until payment, matching when stock is taken.
+async function countDealPurchases(dealId, userId, { session, excludeOrder } = {}) {
+  const [row] = await Order.aggregate([
+    {
+      $match: {
+        ...(excludeOrder ? { _id: { $ne: excludeOrder } } : {}),
+        user: userId,
+        'items.deal': dealId,
+        orderStatus: { $ne: 'cancelled' },
+        $or: [{ 'paymentInfo.method': 'cod' }, { 'paymentInfo.status': 'paid' }],
+      },
+    },
+    { $unwind: '$items' },
+    { $match: { 'items.deal': dealId, 'items.status': { $ne: 'cancelled' } } },
+    { $group: { _id: null, quantity: { $sum: '$items.quantity' } } },
+  ]).session(session || null);
+  return row ? row.quantity : 0;
+}
+
+// Why `quantity` units can't be had at the deal price, or null when they can
+async function checkDealLimits(deal, quantity, userId, { session } = {}) {
+  const left = deal.remaining();
+  if (quantity > left) {
+    return `Only ${left} left at the deal price`;
+  }
+  if (deal.perUserLimit > 0 && userId) {
+    const allowance = deal.perUserLimit - await countDealPurchases(deal._id, userId, { session });
+    if (quantity > allowance) {
+      return allowance > 0
+        ? `The deal price is limited to ${deal.perUserLimit} per customer — you can buy ${allowance} more`
+        : `You have already bought the maximum of ${deal.perUserLimit} at the deal price`;
+    }
+  }
+  return null;
+}
+
+// The price a buyer pays right now for `quantity` of a product / SKU:
+//   { price, mrp, deal, error }  — `deal` is the live deal applied (or null);
+//   `error` is set when the quantity breaks the deal's stock or per-customer cap.
+async function resolvePrice({ product, variant = null, quantity = 1, userId, session, now = new Date() }) {
+  const source = variant || product;
+  const regular = { price: source.price, mrp: source.mrp || source.price, deal: null, error: null };
+
+  const deal = await findLiveDeal(product._id, variant ? variant._id : null, { session, now });
+  if (!deal || deal.price >= regular.price) return regular;
+
+  return {
+    price: deal.price,
+    mrp: Math.max(regular.mrp, regular.price),
+    deal,
+    error: await checkDealLimits(deal, quantity, userId, { session }),
+  };
+}
+
+// Re-prices a cart (items.product populated) at today's prices. Returns a notice per line whose
+// price changed or whose quantity breaks a deal limit; the caller saves the cart.
+async function refreshCartPrices(cart, userId) {
+  const notices = [];
+  for (const item of cart.items) {
+    const product = item.product;
+    if (item.unavailable || !product || typeof product.hasVariants !== 'function') continue;
+    const variant = item.variant ? product.skus.id(item.variant) : null;
+    if (item.variant && !variant) continue;
+
+    const pricing = await resolvePrice({ product, variant, quantity: item.quantity, userId });
+    const label = item.variantLabel ? `${product.name} (${item.variantLabel})` : product.name;
+    if (item.deal && !pricing.deal) {
+      notices.push({ item: item._id, message: `The deal on ${label} has ended — price is now ₹${pricing.price}` });
+    } else if (pricing.price !== item.price) {
+      notices.push({ item: item._id, message: `Price of ${label} changed from ₹${item.price} to ₹${pricing.price}` });
+    }
+    if (pricing.error) notices.push({ item: item._id, message: `${label}: ${pricing.error}` });
+
+    item.price = pricing.price;
+    item.mrp = pricing.mrp;
+    item.deal = pricing.deal ? pricing.deal._id : null;
+    item.dealEndsAt = pricing.deal ? pricing.deal.endsAt : null;
+  }
+  return notices;
+}
+
+// Takes deal units for an order's lines (when its stock is taken). Throws DEAL_LIMIT:<name>
+// or DEAL_SOLD_OUT:<name> so the surrounding transaction rolls back.
+async function claimDealItems(order, { session } = {}) {
+  for (const item of order.items) {
+    if (!item.deal) continue;
+    const deal = await Deal.findById(item.deal).session(session || null);
+    if (deal && deal.perUserLimit > 0) {
+      const bought = await countDealPurchases(deal._id, order.user, { session, excludeOrder: order._id });
+      if (bought + item.quantity > deal.perUserLimit) throw new Error(`DEAL_LIMIT:${item.name}`);
+    }
+    const claimed = await Deal.claim(item.deal, item.quantity, { session });
+    if (!claimed) throw new Error(`DEAL_SOLD_OUT:${item.name}`);
+  }
+}
+
+async function releaseDealItems(order, { session } = {}) {
+  for (const item of order.items) {
+    if (item.deal) await Deal.release(item.deal, item.quantity, { session });
+  }
+}
+
+// Name of the first order line whose deal price can no longer be paid for, or null.
+// The order must have been placed while the deal ran, and paid within the grace period.
+async function findExpiredDealItem(order, now = new Date()) {
+  const dealItems = order.items.filter(item => item.deal);
+  if (!dealItems.length) return null;
+
+  const deals = await Deal.find({ _id: { $in: dealItems.map(item => item.deal) } });
+  const byId = new Map(deals.map(deal => [String(deal._id), deal]));
+  const graceMs = DEAL_CHECKOUT_GRACE_MINUTES * 60 * 1000;
+
+  const expired = dealItems.find((item) => {
+    const deal = byId.get(String(item.deal));
+    return !deal || !deal.isActive || order.createdAt >= deal.endsAt || now.getTime() > deal.endsAt.getTime() + graceMs;
+  });
+  return expired ? expired.name : null;
+}
+
+module.exports = {
+  liveFilter,
+  findLiveDeal,
+  resolvePrice,
+  refreshCartPrices,
+  claimDealItems,
+  releaseDealItems,
+  findExpiredDealItem,
+};
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/helpers');
 
 const transporter = nodemailer.createTransport({
   host: process.env.EMAIL_HOST || 'smtp.gmail.com',
@@ -50,6 +51,36 @@ function sendPasswordResetEmail(user, resetToken) {
   return sendEmail(user.email, 'Dealify Password Reset Token', html);
 }
 
+function getFrontendUrl() {
+  const configured = (process.env.FRONTEND_URL || process.env.FRONTEND_URLS || 'http://localhost:3000')
+    .split(',')[0]
+    .trim();
+  return configured.replace(/\/$/, '');
+}
+
+function sendEmailVerification(user, verificationToken) {
+  const verifyUrl = `${getFrontendUrl()}/pages/auth/verify-email.html?token=${verificationToken}`;
+  const html = `
+    <div style="max-width:600px;margin:0 auto;font-family:'Inter',Arial,sans-serif;background:#fff;border-radius:12px;overflow:hidden;box-shadow:0 2px 12px rgba(0,0,0,0.08);">
+      <div style="background:linear-gradient(135deg,#8B5CF6,#6D28D9);padding:28px;text-align:center;">
+        <h1 style="color:#fff;margin:0;font-size:24px;">Verify Your Email</h1>
+      </div>
+      <div style="padding:24px;">
+        <p>Hi <strong>${user.name}</strong>,</p>
+        <p>Please confirm this is your email address. This link is valid for 24 hours.</p>
+        <p style="text-align:center;margin:24px 0;">
+          <a href="${verifyUrl}" style="background:#7C3AED;color:#fff;padding:12px 24px;border-radius:8px;text-decoration:none;font-weight:700;">Verify Email</a>
+        </p>
+        <p style="font-size:13px;color:#6b7280;">Or paste this token on the verification page:</p>
+        <div style="padding:14px;border-radius:8px;background:#F5F3FF;border:1px solid #DDD6FE;font-size:14px;font-weight:700;word-break:break-all;">${verificationToken}</div>
+        <p style="margin-top:16px;color:#6b7280;font-size:13px;">If you did not create a Dealify account, you can ignore this email.</p>
+      </div>
+    </div>
+  `;
+
+  return sendEmail(user.email, 'Verify your Dealify email address', html);
+}
+
 // ─── Email Templates ──────────────────────────────────────
 
 function sendOrderConfirmation(user, order) {
@@ -132,7 +163,17 @@ function sendWelcomeEmail(user) {
   return sendEmail(user.email, 'Welcome to Dealify! 🛍️', html);
 }
 
-function sendSellerApproval(user, approved) {
+// Reason labels and the moderator's note, shown when something is rejected
+function moderationFeedbackHTML({ reasons = [], note = '' }) {
+  if (reasons.length === 0 && !note) return '';
+  return `
+        <div style="padding:14px;border-radius:8px;background:#FEF2F2;border:1px solid #FECACA;font-size:14px;margin:16px 0;">
+          ${reasons.length ? `<ul style="margin:0;padding-left:20px;">${reasons.map(reason => `<li>${reason.label}</li>`).join('')}</ul>` : ''}
+          ${note ? `<p style="margin:${reasons.length ? '10px' : '0'} 0 0;"><strong>Note from our team:</strong> ${note}</p>` : ''}
+        </div>`;
+}
+
+function sendSellerApproval(user, approved, { reasons = [], note = '' } = {}) {
   const html = `
     <div style="max-width:600px;margin:0 auto;font-family:'Inter',Arial,sans-serif;background:#fff;border-radius:12px;overflow:hidden;">
       <div style="background:${approved ? '#16A34A' : '#DC2626'};padding:24px;text-align:center;">
@@ -142,12 +183,86 @@ function sendSellerApproval(user, approved) {
         <p>Hi <strong>${user.name}</strong>,</p>
         <p>${approved 
           ? 'Your seller account has been approved! You can now start listing products and selling on Dealify.'
-          : 'Unfortunately, your seller application has been declined. Please contact support for more information.'
+          : 'Unfortunately, your seller application has been declined for the following reasons:'
         }</p>
+        ${approved ? '' : moderationFeedbackHTML({ reasons, note })}
+        ${approved ? '' : `<p>Update your store details from the <a href="${getFrontendUrl()}/pages/seller/dashboard.html">seller dashboard</a> and resubmit your application for review.</p>`}
       </div>
     </div>
   `;
   return sendEmail(user.email, approved ? 'Seller Account Approved!' : 'Seller Application Update', html);
 }
 
-module.exports = { sendEmail, sendOrderConfirmation, sendWelcomeEmail, sendSellerApproval, sendPasswordResetEmail };
+function sendProductModeration(user, product, { status, reasons = [], note = '' }) {
+  const approved = status === 'approved';
+  const editUrl = `${getFrontendUrl()}/pages/seller/add-product.html?id=${product._id}`;
+  const html = `
+    <div style="max-width:600px;margin:0 auto;font-family:'Inter',Arial,sans-serif;background:#fff;border-radius:12px;overflow:hidden;">
+      <div style="background:${approved ? '#16A34A' : '#DC2626'};padding:24px;text-align:center;">
+        <h1 style="color:#fff;margin:0;">${approved ? '✅ Product Approved' : '❌ Product Not Approved'}</h1>
+      </div>
+      <div style="padding:24px;">
+        <p>Hi <strong>${user.name}</strong>,</p>
+        <p>${approved
+          ? `Your product <strong>${product.name}</strong> has been approved and is now live on Dealify.`
+          : `Your product <strong>${product.name}</strong> was not approved for the following reasons:`
+        }</p>
+        ${approved ? '' : moderationFeedbackHTML({ reasons, note })}
+        ${approved ? '' : `
+        <p style="text-align:center;margin:24px 0;">
+          <a href="${editUrl}" style="background:#7C3AED;color:#fff;padding:12px 24px;border-radius:8px;text-decoration:none;font-weight:700;">Fix &amp; Resubmit</a>
+        </p>`}
+      </div>
+    </div>
+  `;
+  return sendEmail(user.email, approved ? `Approved: ${product.name}` : `Action needed: ${product.name}`, html);
+}
+
+// One email per order for all of a seller's items that crossed their threshold
+function sendLowStockAlert(user, alerts) {
+  const rows = alerts.map(alert => `
+          <tr>
+            <td style="padding:8px;border-bottom:1px solid #eee;">${escapeHtml(alert.name)}${alert.variantLabel ? ` <span style="color:#6b7280;">(${escapeHtml(alert.variantLabel)})</span>` : ''}</td>
+            <td style="padding:8px;border-bottom:1px solid #eee;text-align:center;font-weight:700;color:${alert.kind === 'out' ? '#DC2626' : '#D97706'};">${alert.kind === 'out' ? 'Sold out' : `${alert.stock} left`}</td>
+          </tr>`).join('');
+  const html = `
+    <div style="max-width:600px;margin:0 auto;font-family:'Inter',Arial,sans-serif;background:#fff;border-radius:12px;overflow:hidden;">
+      <div style="background:#D97706;padding:24px;text-align:center;">
+        <h1 style="color:#fff;margin:0;">📦 Low Stock Alert</h1>
+      </div>
+      <div style="padding:24px;">
+        <p>Hi <strong>${escapeHtml(user.name)}</strong>,</p>
+        <p>A recent order brought these items to their low-stock level:</p>
+        <table style="width:100%;border-collapse:collapse;font-size:14px;">${rows}</table>
+        <p style="text-align:center;margin:24px 0;">
+          <a href="${getFrontendUrl()}/pages/seller/inventory.html" style="background:#D97706;color:#fff;padding:12px 24px;border-radius:8px;text-decoration:none;font-weight:700;">Restock in Inventory</a>
+        </p>
+      </div>
+    </div>
+  `;
+  const outCount = alerts.filter(alert => alert.kind === 'out').length;
+  return sendEmail(user.email, outCount ? `${outCount} item(s) sold out on Dealify` : 'Some of your items are running low', html);
+}
+
+function sendSecurityAlert(user, { heading, message, ipAddress, userAgent }) {
+  const html = `
+    <div style="max-width:600px;margin:0 auto;font-family:'Inter',Arial,sans-serif;background:#fff;border-radius:12px;overflow:hidden;box-shadow:0 2px 12px rgba(0,0,0,0.08);">
+      <div style="background:linear-gradient(135deg,#DC2626,#B91C1C);padding:28px;text-align:center;">
+        <h1 style="color:#fff;margin:0;font-size:24px;">🔐 ${escapeHtml(heading)}</h1>
+      </div>
+      <div style="padding:24px;">
+        <p>Hi <strong>${escapeHtml(user.name)}</strong>,</p>
+        <p>${escapeHtml(message)}</p>
+        <div style="padding:14px;border-radius:8px;background:#FEF2F2;border:1px solid #FECACA;font-size:14px;">
+          <div><strong>Time:</strong> ${new Date().toUTCString()}</div>
+          ${ipAddress ? `<div><strong>IP address:</strong> ${escapeHtml(ipAddress)}</div>` : ''}
+          ${userAgent ? `<div><strong>Device:</strong> ${escapeHtml(userAgent)}</div>` : ''}
+        </div>
+        <p style="margin-top:16px;color:#6b7280;font-size:13px;">If this wasn't you, reset your password right away and contact support.</p>
+      </div>
+    </div>
+  `;
+  return sendEmail(user.email, `Dealify Security Alert: ${heading}`, html);
+}
+
+module.exports = { sendEmail, sendOrderConfirmation, sendWelcomeEmail, sendSellerApproval, sendProductModeration, sendLowStockAlert, sendPasswordResetEmail, sendSecurityAlert, sendEmailVerification };
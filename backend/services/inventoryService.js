@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockAlert = require('../models/StockAlert');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Stock at or below LOW_STOCK_THRESHOLD is low, unless the product or SKU sets its own.
+// Read on use: the Product model loads this service, possibly before .env is.
+const lowStockThreshold = () => Number(process.env.LOW_STOCK_THRESHOLD || 5);
+const NOTE_MAX_LENGTH = 300;
+const MAX_ADJUSTMENTS = 200;
+
+const sellerOf = product => product.seller?._id || product.seller;
+const labelOf = options => Object.values(options || {}).join(' / ');
+
+// A SKU's own threshold, else its product's, else LOW_STOCK_THRESHOLD
+function thresholdFor(product, variant = null) {
+  if (variant && variant.lowStockThreshold != null) return variant.lowStockThreshold;
+  if (product.lowStockThreshold != null) return product.lowStockThreshold;
+  return lowStockThreshold();
+}
+
+function stockStatus(stock, threshold) {
+  if (stock <= 0) return 'out';
+  if (stock <= threshold) return 'low';
+  return 'ok';
+}
+
+// Share of the units a product has had that are sold: totalSold / (totalSold + stock), in %
+function sellThrough({ totalSold = 0, stock = 0 }) {
+  const units = totalSold + stock;
+  return units > 0 ? Math.round((totalSold / units) * 1000) / 10 : 0;
+}
+
+// Current stock of each stock series of a product, keyed by SKU id
+// ('' for a product without SKUs, whose own stock is the series)
+function stockPoints(product) {
+  const points = new Map();
+  if (product.skus && product.skus.length > 0) {
+    product.skus.forEach((variant) => {
+      points.set(String(variant._id), { variant: variant._id, variantLabel: variant.label, stock: variant.stock });
+    });
+  } else if (product.stock !== undefined) {
+    points.set('', { variant: null, variantLabel: '', stock: product.stock });
+  }
+  return points;
+}
+
+// Series whose stock differs between two stockPoints() snapshots; new series start from zero
+function diffStockPoints(before, after) {
+  const changes = [];
+  after.forEach((point, key) => {
+    const previous = before.get(key);
+    const quantity = point.stock - (previous ? previous.stock : 0);
+    if (quantity === 0) return;
+    changes.push({ variant: point.variant, variantLabel: point.variantLabel, quantity, stockAfter: point.stock, opening: !previous });
+  });
+  return changes;
+}
+
+// Fire-and-forget, from the Product model's save hook: stock set on the product form or by an import
+function recordStockChanges(product, changes) {
+  if (!changes || changes.length === 0) return;
+  const seller = sellerOf(product);
+  InventoryMovement.insertMany(changes.map(change => ({
+    product: product._id,
+    seller,
+    variant: change.variant,
+    variantLabel: change.variantLabel,
+    type: 'adjustment',
+    quantity: change.quantity,
+    stockAfter: change.stockAfter,
+    note: change.opening ? 'Opening stock' : '',
+    actor: seller,
+  }))).catch(error => logger.error(`Inventory ledger write failed: ${error.message}`));
+}
+
+async function sendAlerts(alerts) {
+  if (alerts.length === 0) return;
+  await StockAlert.insertMany(alerts);
+
+  const bySeller = new Map();
+  alerts.forEach((alert) => {
+    const key = String(alert.seller);
+    bySeller.set(key, [...(bySeller.get(key) || []), alert]);
+  });
+  // Required here so loading the Product model doesn't build the mail transport before .env is read
+  const { sendLowStockAlert } = require('./emailService');
+  const sellers = await User.find({ _id: { $in: [...bySeller.keys()] } }).select('name email');
+  await Promise.all(sellers.map(user => sendLowStockAlert(user, bySeller.get(String(user._id)))));
+}
+
+async function saveOrderStock(order, type, lines) {
+  const movements = [];
+  const alerts = [];
+  lines.forEach(({ item, product }) => {
+    if (!product) return;
+    const variant = item.variant ? product.skus.id(item.variant) : null;
+    const stockAfter = variant ? variant.stock : product.stock;
+    movements.push({
+      product: product._id,
+      seller: sellerOf(product),
+      variant: variant ? variant._id : null,
+      variantLabel: variant ? variant.label : '',
+      type,
+      quantity: type === 'sale' ? -item.quantity : item.quantity,
+      stockAfter,
+      order: order._id,
+    });
+    if (type !== 'sale') return;
+
+    // Only the order that crosses the line alerts, not every later sale below it
+    const threshold = thresholdFor(product, variant);
+    const kind = stockStatus(stockAfter, threshold);
+    if (kind === 'ok' || stockStatus(stockAfter + item.quantity, threshold) === kind) return;
+    alerts.push({
+      seller: sellerOf(product),
+      product: product._id,
+      variant: variant ? variant._id : null,
+      name: product.name,
+      variantLabel: variant ? variant.label : '',
+      kind,
+      stock: stockAfter,
+      threshold,
+    });
+  });
+
+  await InventoryMovement.insertMany(movements);
+  await sendAlerts(alerts);
+}
+
+// Call once an order's stock change has committed. `lines` pairs each order item with the
+// product returned by Product.decrementStock (type 'sale') or restoreStock ('cancellation').
+// Fire-and-forget: a ledger or email failure never fails the order.
+function recordOrderStock(order, type, lines) {
+  saveOrderStock(order, type, lines).catch(error => logger.error(`Inventory ledger write failed: ${error.message}`));
+}
+
+// Applies a seller's stock adjustments one line at a time. A line is
+// { productId, variantId?, change } (added to the stock; negative takes units away) or
+// { productId, variantId?, stock } (the new count). Returns a result per line.
+async function adjustStock(sellerId, lines, { note = '', actor }) {
+  // Required here: the Product model loads this service for its save hooks
+  const Product = require('../models/Product');
+  const text = String(note || '').trim().slice(0, NOTE_MAX_LENGTH);
+  const results = [];
+
+  for (const line of lines) {
+    const result = { productId: line.productId, variantId: line.variantId || null };
+    results.push(result);
+
+    const product = mongoose.isValidObjectId(line.productId)
+      ? await Product.findOne({ _id: line.productId, seller: sellerId, archivedAt: null })
+      : null;
+    if (!product) {
+      result.error = 'Product not found';
+      continue;
+    }
+    result.name = product.name;
+
+    const variant = line.variantId && mongoose.isValidObjectId(line.variantId) ? product.skus.id(line.variantId) : null;
+    if (product.hasVariants() !== Boolean(variant)) {
+      result.error = product.hasVariants() ? 'Pick a variant: stock is kept per variant' : 'Variant not found';
+      continue;
+    }
+    if (variant) result.variantLabel = variant.label;
+
+    const current = (variant || product).stock;
+    const setTo = line.stock !== undefined && line.stock !== '';
+    const change = setTo ? Number(line.stock) - current : Number(line.change);
+    if (!Number.isInteger(change) || (setTo && Number(line.stock) < 0)) {
+      result.error = setTo ? 'Stock must be a whole number of 0 or more' : 'Change must be a whole number';
+      continue;
+    }
+    if (change === 0) {
+      result.stock = current;
+      continue;
+    }
+
+    const updated = await Product.adjustStock({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      change,
+      countInTotal: !variant || variant.isActive,
+    });
+    if (!updated) {
+      result.error = `Only ${current} in stock; can't remove ${-change}`;
+      continue;
+    }
+
+    const updatedVariant = variant ? updated.skus.id(variant._id) : null;
+    result.change = change;
+    result.stock = (updatedVariant || updated).stock;
+    await InventoryMovement.create({
+      product: product._id,
+      seller: sellerId,
+      variant: variant ? variant._id : null,
+      variantLabel: variant ? variant.label : '',
+      type: 'adjustment',
+      quantity: change,
+      stockAfter: result.stock,
+      note: text,
+      actor,
+    });
+    // Restocked: earlier alerts for this item no longer need attention
+    if (stockStatus(result.stock, thresholdFor(updated, updatedVariant)) === 'ok') {
+      await StockAlert.updateMany(
+        { product: product._id, variant: variant ? variant._id : null, readAt: null },
+        { readAt: new Date() }
+      );
+    }
+  }
+  return results;
+}
+
+// Worst state among a product's SKUs on sale: out when all are sold out, low when any needs restocking
+function productStatus(variants) {
+  const active = variants.filter(variant => variant.isActive);
+  if (active.length === 0 || active.every(variant => variant.status === 'out')) return 'out';
+  return active.some(variant => variant.status !== 'ok') ? 'low' : 'ok';
+}
+
+// The seller's catalogue as stock rows (SKUs nested under their product), out of stock first.
+// `status` is low, out or all; the summary always covers the whole catalogue.
+async function getSellerInventory(sellerId, { status = 'all', search = '' } = {}) {
+  const Product = require('../models/Product');
+  const filter = { seller: sellerId, archivedAt: null };
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { sku: { $regex: search, $options: 'i' } },
+      { 'skus.sku': { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const products = await Product.find(filter)
+    .select('name slug sku images stock totalSold lowStockThreshold isActive isApproved skus')
+    .lean();
+
+  const order = { out: 0, low: 1, ok: 2 };
+  const rows = products.map((product) => {
+    const variants = (product.skus || []).map((variant) => {
+      const threshold = thresholdFor(product, variant);
+      return {
+        _id: variant._id,
+        label: labelOf(variant.options),
+        sku: variant.sku,
+        stock: variant.stock,
+        threshold,
+        lowStockThreshold: variant.lowStockThreshold ?? null,
+        status: stockStatus(variant.stock, threshold),
+        isActive: variant.isActive,
+      };
+    });
+    const threshold = thresholdFor(product);
+    return {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      sku: product.sku,
+      image: product.images?.[0]?.url || '',
+      isActive: product.isActive,
+      isApproved: product.isApproved,
+      stock: product.stock,
+      threshold,
+      lowStockThreshold: product.lowStockThreshold ?? null,
+      status: variants.length > 0 ? productStatus(variants) : stockStatus(product.stock, threshold),
+      totalSold: product.totalSold,
+      sellThrough: sellThrough(product),
+      variants,
+    };
+  }).sort((a, b) => order[a.status] - order[b.status] || a.name.localeCompare(b.name));
+
+  const summary = {
+    products: rows.length,
+    units: rows.reduce((sum, row) => sum + row.stock, 0),
+    low: rows.filter(row => row.status === 'low').length,
+    out: rows.filter(row => row.status === 'out').length,
+    sold: rows.reduce((sum, row) => sum + row.totalSold, 0),
+  };
+  summary.sellThrough = sellThrough({ totalSold: summary.sold, stock: summary.units });
+
+  return {
+    summary,
+    rows: ['low', 'out'].includes(status) ? rows.filter(row => row.status === status) : rows,
+  };
+}
+
+module.exports = {
+  lowStockThreshold,
+  NOTE_MAX_LENGTH,
+  MAX_ADJUSTMENTS,
+  thresholdFor,
+  stockStatus,
+  stockPoints,
+  diffStockPoints,
+  recordStockChanges,
+  recordOrderStock,
+  adjustStock,
+  getSellerInventory,
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const LoginThrottle = require('../models/LoginThrottle');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../utils/logger');
+const { describeUserAgent } = require('../utils/helpers');
+const { sendSecurityAlert } = require('./emailService');
+
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Unknown-email throttles outlive the longest lockout so their lockouts escalate like an account's
+const UNKNOWN_EMAIL_THROTTLE_DAYS = 7;
+
+function getRequestContext(req) {
+  const userAgent = req.headers['user-agent'] || '';
+  return {
+    ipAddress: req.ip || req.connection?.remoteAddress || '',
+    userAgent,
+    deviceHash: crypto.createHash('sha256').update(userAgent).digest('hex'),
+  };
+}
+
+function lockoutMessage(lockUntil) {
+  const minutes = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 60000));
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
+
+async function recordFailedLogin(req, { user = null, email = '', reason, method = 'password' }) {
+  const { ipAddress, userAgent, deviceHash } = getRequestContext(req);
+  await LoginHistory.create({
+    user: user ? user._id : null,
+    email: user ? user.email : email,
+    success: false,
+    failureReason: reason,
+    method,
+    ipAddress,
+    userAgent,
+    deviceHash,
+  });
+}
+
+function lockoutMinutes(lockoutCount = 0) {
+  return Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+}
+
+// Counts a failed password / 2FA attempt and locks the account once the limit is hit.
+// Lock time doubles with every consecutive lockout (15m, 30m, 1h... capped at 24h).
+// Returns { locked: false, attemptsLeft } or { locked: true, lockUntil }
+async function registerFailedAttempt(user) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) return { locked: false, attemptsLeft: LOGIN_MAX_ATTEMPTS };
+
+  if (updated.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+    return { locked: false, attemptsLeft: LOGIN_MAX_ATTEMPTS - updated.failedLoginAttempts };
+  }
+
+  const lockMinutes = lockoutMinutes(updated.lockoutCount);
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  // Only the request that crossed the limit applies the lock
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: LOGIN_MAX_ATTEMPTS } },
+    { lockUntil, failedLoginAttempts: 0, $inc: { lockoutCount: 1 } },
+    { new: true }
+  );
+
+  if (locked) {
+    logger.warn('Security event: account locked after failed logins', {
+      userId: String(user._id),
+      lockMinutes,
+      lockoutCount: locked.lockoutCount,
+    });
+  }
+
+  return { locked: true, lockUntil: locked ? locked.lockUntil : lockUntil };
+}
+
+// When an email with no account is locked out, the time it unlocks; otherwise null
+async function unknownEmailLockUntil(email) {
+  const throttle = await LoginThrottle.findOne({ email: String(email).toLowerCase().trim() });
+  return throttle?.lockUntil && throttle.lockUntil.getTime() > Date.now() ? throttle.lockUntil : null;
+}
+
+// registerFailedAttempt() for an email with no account, with the same limits and lock times
+async function registerUnknownEmailAttempt(email) {
+  const key = String(email).toLowerCase().trim();
+  const expiresAt = new Date(Date.now() + UNKNOWN_EMAIL_THROTTLE_DAYS * 24 * 60 * 60 * 1000);
+  const updated = await LoginThrottle.findOneAndUpdate(
+    { email: key },
+    { $inc: { failedLoginAttempts: 1 }, $set: { expiresAt } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (updated.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+    return { locked: false, attemptsLeft: LOGIN_MAX_ATTEMPTS - updated.failedLoginAttempts };
+  }
+
+  const lockUntil = new Date(Date.now() + lockoutMinutes(updated.lockoutCount) * 60 * 1000);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { email: key, failedLoginAttempts: { $gte: LOGIN_MAX_ATTEMPTS } },
+    { lockUntil, failedLoginAttempts: 0, $inc: { lockoutCount: 1 } },
+    { new: true }
+  );
+  return { locked: true, lockUntil: locked ? locked.lockUntil : lockUntil };
+}
+
+async function clearLockout(userId) {
+  return User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, lockoutCount: 0, $unset: { lockUntil: 1 } },
+    { new: true }
+  );
+}
+
+// A device is new when the account has signed in before but never from this user agent.
+// Sessions created before login history existed count as known devices.
+async function isNewDevice(user, { userAgent, deviceHash }) {
+  const [knownLogin, knownSession, anyLogin, anySession] = await Promise.all([
+    LoginHistory.exists({ user: user._id, success: true, deviceHash }),
+    RefreshToken.exists({ user: user._id, userAgent }),
+    LoginHistory.exists({ user: user._id, success: true }),
+    RefreshToken.exists({ user: user._id }),
+  ]);
+
+  if (knownLogin || knownSession) return false;
+  return Boolean(anyLogin || anySession);
+}
+
+// Call once a login has fully succeeded, before the new session is issued
+async function recordSuccessfulLogin(req, user, { method = 'password', twoFactorMethod = '' } = {}) {
+  const context = getRequestContext(req);
+  const newDevice = await isNewDevice(user, context);
+
+  if (user.failedLoginAttempts || user.lockoutCount || user.lockUntil) {
+    await clearLockout(user._id);
+  }
+
+  await LoginHistory.create({
+    user: user._id,
+    email: user.email,
+    success: true,
+    method,
+    twoFactorMethod,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    deviceHash: context.deviceHash,
+    newDevice,
+  });
+
+  if (newDevice) {
+    try {
+      await sendSecurityAlert(user, {
+        heading: 'New sign-in to your account',
+        message: `Your Dealify account was just signed in to from a new device (${describeUserAgent(context.userAgent)}). If this was you, no action is needed.`,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+      });
+    } catch (emailError) {
+      logger.error(`New device alert email failed: ${emailError.message}`);
+    }
+  }
+}
+
+module.exports = {
+  lockoutMessage,
+  recordFailedLogin,
+  registerFailedAttempt,
+  unknownEmailLockUntil,
+  registerUnknownEmailAttempt,
+  recordSuccessfulLogin,
+  clearLockout,
+};
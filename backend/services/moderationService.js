@@ -0,0 +1,72 @@
+const ModerationEvent = require('../models/ModerationEvent');
+const User = require('../models/User');
+const { REJECTION_REASONS } = require('../config/rejectionReasons');
+const { sendProductModeration, sendSellerApproval } = require('./emailService');
+const logger = require('../utils/logger');
+
+const NOTE_MAX_LENGTH = 1000;
+
+function listRejectionReasons(itemType) {
+  return Object.entries(REJECTION_REASONS[itemType]).map(([code, label]) => ({ code, label }));
+}
+
+// Checks an approve / reject decision from the admin panel. A rejection needs at least one
+// reason code from the item's catalogue, and a note when one of them is "other".
+// Returns { error } or { status, reasons: [{ code, label }], note }.
+function parseDecision(itemType, { status, reasons = [], note = '' }) {
+  if (!['approved', 'rejected'].includes(status)) {
+    return { error: 'Status must be approved or rejected' };
+  }
+  const text = String(note || '').trim().slice(0, NOTE_MAX_LENGTH);
+  if (status === 'approved') return { status, reasons: [], note: text };
+
+  const catalogue = REJECTION_REASONS[itemType];
+  const codes = [...new Set([].concat(reasons).map(String))];
+  if (codes.length === 0) return { error: 'Pick at least one rejection reason' };
+  const unknown = codes.find(code => !catalogue[code]);
+  if (unknown) return { error: `Unknown rejection reason: ${unknown}` };
+  if (codes.includes('other') && !text) return { error: 'Add a note explaining the rejection' };
+
+  return { status, reasons: codes.map(code => ({ code, label: catalogue[code] })), note: text };
+}
+
+// Sets the outcome on a Product or Seller. The last rejection stays on the item after the
+// seller resubmits, so the moderator can see what was wrong before; approving clears it.
+function applyDecision(item, { status, reasons, note }) {
+  item.isApproved = status;
+  item.rejectionReasons = reasons;
+  item.approvalNote = note;
+}
+
+function recordModeration(itemType, item, { owner, action, reasons = [], note = '', actor }) {
+  return ModerationEvent.create({ itemType, item: item._id, owner, action, reasons, note, actor });
+}
+
+function getModerationHistory(itemType, itemId) {
+  return ModerationEvent.find({ itemType, item: itemId })
+    .populate('actor', 'name role')
+    .sort({ createdAt: -1 })
+    .limit(100);
+}
+
+// Emails the seller about a decision. Fire-and-forget: a mail failure never fails the review.
+function notifyDecision(itemType, item, decision) {
+  const userId = itemType === 'product' ? item.seller : item.userId;
+  User.findById(userId).select('name email')
+    .then((user) => {
+      if (!user) return;
+      if (itemType === 'product') return sendProductModeration(user, item, decision);
+      return sendSellerApproval(user, decision.status === 'approved', decision);
+    })
+    .catch(error => logger.error(`Moderation email failed: ${error.message}`));
+}
+
+module.exports = {
+  NOTE_MAX_LENGTH,
+  listRejectionReasons,
+  parseDecision,
+  applyDecision,
+  recordModeration,
+  getModerationHistory,
+  notifyDecision,
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const { sendSms } = require('./smsService');
+
+const OTP_EXPIRE_MINUTES = Number(process.env.OTP_EXPIRE_MINUTES || 5);
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+
+// Keyed hash: a 6-digit code is trivial to brute force from a plain sha256
+function hashOtp(phone, purpose, code) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || '')
+    .update(`${purpose}:${phone}:${code}`)
+    .digest('hex');
+}
+
+function generateOtpCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+const OTP_MESSAGES = {
+  login: (code) => `${code} is your Dealify login code. It expires in ${OTP_EXPIRE_MINUTES} minutes. Do not share it with anyone.`,
+  verify_phone: (code) => `${code} is your Dealify phone verification code. It expires in ${OTP_EXPIRE_MINUTES} minutes.`,
+};
+
+// Returns { sent: true } or { sent: false, retryAfter } while the resend cooldown is running.
+// `deliver: false` stores a code nobody receives, so an unregistered number gets the same
+// cooldown and the same "incorrect OTP" answers as a registered one.
+async function requestOtp(phone, purpose, { deliver = true } = {}) {
+  const existing = await PhoneOtp.findOne({ phone, purpose });
+  if (existing) {
+    const elapsedSeconds = (Date.now() - existing.lastSentAt.getTime()) / 1000;
+    if (elapsedSeconds < OTP_RESEND_COOLDOWN_SECONDS) {
+      return { sent: false, retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds) };
+    }
+  }
+
+  const code = generateOtpCode();
+  await PhoneOtp.findOneAndUpdate(
+    { phone, purpose },
+    {
+      codeHash: hashOtp(phone, purpose, code),
+      expiresAt: new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000),
+      attempts: 0,
+      lastSentAt: new Date(),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (deliver) await sendSms(phone, OTP_MESSAGES[purpose](code));
+  return { sent: true, expiresInSeconds: OTP_EXPIRE_MINUTES * 60 };
+}
+
+// Returns { valid: true } or { valid: false, reason } — the code is single-use.
+// The attempt is counted atomically before comparing so parallel guesses can't skip the limit.
+async function verifyOtp(phone, purpose, code) {
+  const otp = await PhoneOtp.findOneAndUpdate(
+    { phone, purpose, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    const exists = await PhoneOtp.exists({ phone, purpose, expiresAt: { $gt: new Date() } });
+    return { valid: false, reason: exists ? 'too_many_attempts' : 'expired' };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(phone, purpose, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return {
+      valid: false,
+      reason: otp.attempts >= OTP_MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid',
+    };
+  }
+
+  await PhoneOtp.deleteOne({ _id: otp._id });
+  return { valid: true };
+}
+
+module.exports = { requestOtp, verifyOtp };
@@ -0,0 +1,127 @@
+const PriceHistory = require('../models/PriceHistory');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWEST_PRICE_DAYS = 30;
+// A price cut within this many days of an MRP increase is flagged for review
+const MRP_INFLATION_WINDOW_DAYS = Number(process.env.MRP_INFLATION_WINDOW_DAYS || 30);
+
+const formatRupees = amount => `₹${amount.toLocaleString('en-IN')}`;
+
+// Current price and MRP of each price series of a product, keyed by SKU id
+// ('' for a product without SKUs, whose own price is the series)
+function pricePoints(product) {
+  const points = new Map();
+  if (product.skus && product.skus.length > 0) {
+    product.skus.forEach((variant) => {
+      points.set(String(variant._id), {
+        variant: variant._id,
+        variantLabel: variant.label,
+        price: variant.price,
+        mrp: variant.mrp || variant.price,
+      });
+    });
+  } else if (product.price !== undefined) {
+    points.set('', { variant: null, variantLabel: '', price: product.price, mrp: product.mrp || product.price });
+  }
+  return points;
+}
+
+// Series whose price or MRP differs between two pricePoints() snapshots, new series included
+function diffPricePoints(before, after) {
+  const changes = [];
+  after.forEach((point, key) => {
+    const previous = before.get(key);
+    if (previous && previous.price === point.price && previous.mrp === point.mrp) return;
+    changes.push({
+      ...point,
+      previousPrice: previous ? previous.price : null,
+      previousMrp: previous ? previous.mrp : null,
+    });
+  });
+  return changes;
+}
+
+// Why a price cut looks like a fake discount: the MRP went up with it or shortly before it
+async function findMrpInflation(productId, change, now) {
+  if (change.previousPrice === null || change.price >= change.previousPrice) return '';
+
+  const cut = `price cut from ${formatRupees(change.previousPrice)} to ${formatRupees(change.price)}`;
+  if (change.mrp > change.previousMrp) {
+    return `MRP raised from ${formatRupees(change.previousMrp)} to ${formatRupees(change.mrp)} together with a ${cut}`;
+  }
+
+  const raise = await PriceHistory.findOne({
+    product: productId,
+    variant: change.variant,
+    createdAt: { $gte: new Date(now.getTime() - MRP_INFLATION_WINDOW_DAYS * DAY_MS) },
+    previousMrp: { $ne: null },
+    $expr: { $gt: ['$mrp', '$previousMrp'] },
+  }).sort('-createdAt');
+  if (!raise) return '';
+
+  const raisedOn = raise.createdAt.toISOString().slice(0, 10);
+  return `MRP raised from ${formatRupees(raise.previousMrp)} to ${formatRupees(raise.mrp)} on ${raisedOn}, followed by a ${cut}`;
+}
+
+async function savePriceChanges(product, changes) {
+  const now = new Date();
+  const rows = [];
+  for (const change of changes) {
+    const flagReason = await findMrpInflation(product._id, change, now);
+    rows.push({
+      ...change,
+      product: product._id,
+      seller: product.seller?._id || product.seller,
+      flagReason,
+      flagStatus: flagReason ? 'open' : 'none',
+    });
+  }
+  await PriceHistory.insertMany(rows);
+}
+
+// Fire-and-forget, from the Product model's save hook
+function recordPriceChanges(product, changes) {
+  if (!changes || changes.length === 0) return;
+  savePriceChanges(product, changes).catch(error => logger.error(`Price history log failed: ${error.message}`));
+}
+
+// Prices of one series over the last `days`, with the lowest and highest price it sold at.
+// `variant` is the SKU subdocument for products sold in variants.
+async function getPriceHistory(product, { variant = null, days = LOWEST_PRICE_DAYS } = {}) {
+  const series = { product: product._id, variant: variant ? variant._id : null };
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [rows, before] = await Promise.all([
+    PriceHistory.find({ ...series, createdAt: { $gte: since } }).sort('createdAt').select('price mrp previousPrice createdAt').lean(),
+    PriceHistory.findOne({ ...series, createdAt: { $lt: since } }).sort('-createdAt').select('price').lean(),
+  ]);
+
+  const source = variant || product;
+  const current = { price: source.price, mrp: source.mrp || source.price };
+
+  // Every price in effect during the window: the one it opened with, each change since, and today's
+  const prices = rows.map(row => row.price).concat(current.price);
+  if (before) prices.push(before.price);
+  else if (rows.length && rows[0].previousPrice !== null) prices.push(rows[0].previousPrice);
+
+  const lowest = Math.min(...prices);
+  const highest = Math.max(...prices);
+  return {
+    days,
+    variant: series.variant,
+    current,
+    lowest,
+    highest,
+    isLowest: current.price <= lowest,
+    points: rows.map(row => ({ price: row.price, mrp: row.mrp, at: row.createdAt })),
+  };
+}
+
+module.exports = {
+  LOWEST_PRICE_DAYS,
+  pricePoints,
+  diffPricePoints,
+  recordPriceChanges,
+  getPriceHistory,
+};
@@ -0,0 +1,120 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Seller = require('../models/Seller');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const User = require('../models/User');
+const Deal = require('../models/Deal');
+const Question = require('../models/Question');
+const PriceHistory = require('../models/PriceHistory');
+const ProductRevision = require('../models/ProductRevision');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const ProductView = require('../models/ProductView');
+const ModerationEvent = require('../models/ModerationEvent');
+const InventoryMovement = require('../models/InventoryMovement');
+const StockAlert = require('../models/StockAlert');
+const logger = require('../utils/logger');
+const { supersedePending } = require('./productRevisionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Archived products that never sold are deleted for good after this many days; 0 keeps them forever
+const ARCHIVED_PRODUCT_RETENTION_DAYS = Number(process.env.ARCHIVED_PRODUCT_RETENTION_DAYS || 90);
+const PURGE_INTERVAL_MS = DAY_MS;
+
+function updateListingCounts(product, delta) {
+  return Promise.all([
+    Category.findByIdAndUpdate(product.category, { $inc: { productCount: delta } }),
+    Seller.findOneAndUpdate({ userId: product.seller }, { $inc: { totalProducts: delta } }),
+  ]);
+}
+
+// Takes a product off the catalog while keeping the document, so orders, reviews, carts and
+// wishlists that point at it still resolve. Catalog queries already require isActive.
+async function archiveProduct(product) {
+  product.archivedAt = new Date();
+  product.isActive = false;
+  product.pendingRevision = null;
+  await product.save();
+  await supersedePending(product);
+  await updateListingCounts(product, -1);
+}
+
+// Puts an archived product back on sale as it was
+async function restoreProduct(product) {
+  product.archivedAt = null;
+  product.isActive = true;
+  await product.save();
+  await updateListingCounts(product, 1);
+}
+
+// Everything that only exists for the product's sake
+async function deleteProductData(ids) {
+  const filter = { product: { $in: ids } };
+  await Promise.all([
+    PriceHistory.deleteMany(filter),
+    ProductRevision.deleteMany(filter),
+    ProductRecommendation.deleteMany(filter),
+    ProductView.deleteMany(filter),
+    InventoryMovement.deleteMany(filter),
+    StockAlert.deleteMany(filter),
+    Question.deleteMany(filter),
+    Deal.deleteMany(filter),
+    ModerationEvent.deleteMany({ itemType: 'product', item: { $in: ids } }),
+    Cart.updateMany({ 'items.product': { $in: ids } }, { $pull: { items: filter } }),
+    Wishlist.updateMany({ products: { $in: ids } }, { $pull: { products: { $in: ids } } }),
+    User.updateMany({ wishlist: { $in: ids } }, { $pull: { wishlist: { $in: ids } } }),
+  ]);
+}
+
+// Deletes products archived more than ARCHIVED_PRODUCT_RETENTION_DAYS ago that no order or
+// review refers to. Returns how many were removed.
+async function purgeArchivedProducts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - ARCHIVED_PRODUCT_RETENTION_DAYS * DAY_MS);
+  const candidates = await Product.find({ archivedAt: { $ne: null, $lte: cutoff }, totalSold: 0 })
+    .select('_id')
+    .limit(500)
+    .lean();
+  if (candidates.length === 0) return 0;
+
+  const ids = candidates.map(p => p._id);
+  const [ordered, reviewed] = await Promise.all([
+    Order.distinct('items.product', { 'items.product': { $in: ids } }),
+    Review.distinct('product', { product: { $in: ids } }),
+  ]);
+  const referenced = new Set([...ordered, ...reviewed].map(String));
+  const purgeable = ids.filter(id => !referenced.has(String(id)));
+  if (purgeable.length === 0) return 0;
+
+  await deleteProductData(purgeable);
+  const { deletedCount } = await Product.deleteMany({ _id: { $in: purgeable }, archivedAt: { $ne: null } });
+  return deletedCount;
+}
+
+let purgeTimer = null;
+
+async function runPurge() {
+  try {
+    const count = await purgeArchivedProducts();
+    if (count > 0) logger.info(`Purged ${count} archived product(s) that never sold`);
+  } catch (error) {
+    logger.error(`Archived product purge failed: ${error.message}`);
+  }
+}
+
+// Started once from server.js; ARCHIVED_PRODUCT_RETENTION_DAYS=0 turns the job off
+function startArchivePurgeJob() {
+  if (purgeTimer || ARCHIVED_PRODUCT_RETENTION_DAYS <= 0) return;
+  setTimeout(runPurge, 5 * 60 * 1000).unref();
+  purgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+}
+
+module.exports = {
+  ARCHIVED_PRODUCT_RETENTION_DAYS,
+  archiveProduct,
+  restoreProduct,
+  purgeArchivedProducts,
+  startArchivePurgeJob,
+};
@@ -0,0 +1,543 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Seller = require('../models/Seller');
+const ProductImportJob = require('../models/ProductImportJob');
+const logger = require('../utils/logger');
+const { detectFormat, readRows } = require('../utils/spreadsheet');
+const { saveWithFreeSlug } = require('../utils/slugs');
+const { contentOf, stageSellerEdit, recordCreation } = require('./productRevisionService');
+const { recordModeration } = require('./moderationService');
+
+const PRODUCT_IMPORT_MAX_ROWS = Number(process.env.PRODUCT_IMPORT_MAX_ROWS || 2000);
+
+// Running jobs report progress every few rows; one that has gone quiet this long was cut off by a restart
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+const PROGRESS_EVERY_ROWS = 25;
+
+// Multi-value cells (tags, images, options...) are separated by a pipe
+const LIST_SEPARATOR = '|';
+
+// Same columns for import, export and the template, so sellers can round-trip a file.
+// Variant rows set `parentSku` (the product's sku) and `options`, e.g. "Size: M | Color: Red".
+const PRODUCT_COLUMNS = [
+  { key: 'sku', width: 18 },
+  { key: 'parentSku', width: 18 },
+  { key: 'options', width: 24 },
+  { key: 'name', width: 32 },
+  { key: 'category', width: 18 },
+  { key: 'price', width: 10 },
+  { key: 'mrp', width: 10 },
+  { key: 'stock', width: 10 },
+  { key: 'brand' },
+  { key: 'shortDescription', width: 32 },
+  { key: 'description', width: 48 },
+  { key: 'tags', width: 24 },
+  { key: 'sizes' },
+  { key: 'images', width: 48 },
+  { key: 'specifications', width: 32 },
+  { key: 'weight', width: 10 },
+  { key: 'shippingCost', width: 12 },
+  { key: 'estimatedDays', width: 12 },
+  { key: 'returnable', width: 12 },
+  { key: 'returnDays', width: 12 },
+  { key: 'isActive', width: 10 },
+];
+
+const RESULT_COLUMNS = [
+  { key: 'row', width: 8 },
+  { key: 'sku', width: 18 },
+  { key: 'parentSku', width: 18 },
+  { key: 'status', width: 10 },
+  { key: 'product', width: 26 },
+  { key: 'messages', width: 60 },
+];
+
+// ─── Cell parsing ─────────────────────────────────────────
+
+function readNumber(values, key, messages, { integer = false } = {}) {
+  const raw = values[key];
+  if (raw === undefined || raw === '') return undefined;
+  const num = Number(String(raw).replace(/[₹,\s]/g, ''));
+  if (!Number.isFinite(num) || num < 0 || (integer && !Number.isInteger(num))) {
+    messages.push(`${key} must be a ${integer ? 'whole ' : ''}number of 0 or more`);
+    return undefined;
+  }
+  return num;
+}
+
+function readBoolean(values, key, messages) {
+  const raw = String(values[key] || '').toLowerCase();
+  if (raw === '') return undefined;
+  if (['yes', 'y', 'true', '1'].includes(raw)) return true;
+  if (['no', 'n', 'false', '0'].includes(raw)) return false;
+  messages.push(`${key} must be yes or no`);
+  return undefined;
+}
+
+function readList(values, key) {
+  const raw = values[key];
+  if (raw === undefined || raw === '') return undefined;
+  return raw.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+// "Key: Value | Key: Value" → [[key, value]]
+function readPairs(values, key, messages) {
+  const items = readList(values, key);
+  if (!items) return undefined;
+  const pairs = items.map((item) => {
+    const at = item.indexOf(':');
+    return at > 0 ? [item.slice(0, at).trim(), item.slice(at + 1).trim()] : null;
+  });
+  if (pairs.some(pair => !pair || !pair[0] || !pair[1])) {
+    messages.push(`${key} must look like "Name: Value | Name: Value"`);
+    return undefined;
+  }
+  return pairs;
+}
+
+function readImages(values, alt, messages) {
+  const urls = readList(values, 'images');
+  if (!urls) return undefined;
+  if (urls.some(url => !/^https?:\/\//i.test(url))) {
+    messages.push('images must be full http(s) URLs');
+    return undefined;
+  }
+  return urls.map(url => ({ url, alt }));
+}
+
+function formatPairs(pairs) {
+  return pairs.map(([name, value]) => `${name}: ${value}`).join(` ${LIST_SEPARATOR} `);
+}
+
+function formatBoolean(value) {
+  return value ? 'yes' : 'no';
+}
+
+// ─── Applying rows ────────────────────────────────────────
+
+async function loadCategoryLookup() {
+  const categories = await Category.find({ isActive: true }).select('name slug previousSlugs');
+  const lookup = new Map();
+  categories.forEach((cat) => {
+    // Slugs from before a rename still work, so older sheets can be re-imported
+    [...cat.previousSlugs, cat.slug].forEach((slug) => { if (slug) lookup.set(slug.toLowerCase(), cat._id); });
+    lookup.set(cat.name.toLowerCase(), cat._id);
+  });
+  return lookup;
+}
+
+// Blank cells leave existing products untouched, so a partial sheet only changes what it lists
+function applyProductRow(product, values, categories, messages) {
+  const name = values.name || product.name;
+  const fields = {
+    price: readNumber(values, 'price', messages),
+    mrp: readNumber(values, 'mrp', messages),
+    stock: readNumber(values, 'stock', messages, { integer: true }),
+    weight: readNumber(values, 'weight', messages),
+    shippingCost: readNumber(values, 'shippingCost', messages),
+    estimatedDays: readNumber(values, 'estimatedDays', messages, { integer: true }),
+    returnDays: readNumber(values, 'returnDays', messages, { integer: true }),
+    returnable: readBoolean(values, 'returnable', messages),
+    isActive: readBoolean(values, 'isActive', messages),
+    tags: readList(values, 'tags'),
+    sizes: readList(values, 'sizes'),
+    specifications: readPairs(values, 'specifications', messages),
+    images: readImages(values, name, messages),
+  };
+
+  let category;
+  if (values.category) {
+    category = categories.get(values.category.toLowerCase());
+    if (!category) messages.push(`Unknown category "${values.category}"`);
+  }
+  if (messages.length) return;
+
+  ['name', 'description', 'shortDescription', 'brand'].forEach((key) => {
+    if (values[key]) product[key] = values[key];
+  });
+  if (category) product.category = category;
+
+  ['price', 'stock', 'weight', 'isActive', 'tags', 'sizes', 'images'].forEach((key) => {
+    if (fields[key] !== undefined) product[key] = fields[key];
+  });
+  if (fields.mrp !== undefined) product.mrp = fields.mrp;
+  else if (product.isNew && fields.price !== undefined) product.mrp = fields.price;
+
+  if (fields.specifications) {
+    product.specifications = fields.specifications.map(([key, value]) => ({ key, value }));
+  }
+  if (fields.shippingCost !== undefined) {
+    product.shippingInfo.shippingCost = fields.shippingCost;
+    product.shippingInfo.freeShipping = fields.shippingCost === 0;
+  }
+  if (fields.estimatedDays !== undefined) product.shippingInfo.estimatedDays = fields.estimatedDays;
+  if (fields.returnable !== undefined) product.returnPolicy.returnable = fields.returnable;
+  if (fields.returnDays !== undefined) product.returnPolicy.returnDays = fields.returnDays;
+}
+
+// Adds or updates one SKU. Option values missing from the product's axes are added to them.
+// Returns 'created' or 'updated', or null when the row has errors (the product is left untouched).
+function applyVariantRow(product, values, messages) {
+  const pairs = readPairs(values, 'options', messages);
+  if (!pairs && !messages.length) messages.push('options is required for variant rows');
+
+  const fields = {
+    price: readNumber(values, 'price', messages),
+    mrp: readNumber(values, 'mrp', messages),
+    stock: readNumber(values, 'stock', messages, { integer: true }),
+    weight: readNumber(values, 'weight', messages),
+    isActive: readBoolean(values, 'isActive', messages),
+    images: readImages(values, product.name, messages),
+  };
+  if (messages.length) return null;
+
+  const options = {};
+  pairs.forEach(([name, value]) => {
+    const axis = product.variants.find(a => a.name.toLowerCase() === name.toLowerCase());
+    options[axis ? axis.name : name] = value;
+  });
+
+  const existing = (values.sku && product.skus.find(v => v.sku === values.sku))
+    || product.findVariant({ options });
+  if (!existing && fields.price === undefined) {
+    messages.push('price is required for a new variant');
+    return null;
+  }
+
+  Object.entries(options).forEach(([name, value]) => {
+    const axis = product.variants.find(a => a.name === name);
+    if (!axis) product.variants.push({ name, options: [value] });
+    else if (!axis.options.includes(value)) axis.options.push(value);
+  });
+
+  const variant = existing || product.skus.create({ options, price: fields.price });
+  if (existing) variant.options = options;
+  if (values.sku) variant.sku = values.sku;
+  ['price', 'stock', 'weight', 'isActive', 'images'].forEach((key) => {
+    if (fields[key] !== undefined) variant[key] = fields[key];
+  });
+  if (fields.mrp !== undefined) variant.mrp = fields.mrp;
+
+  if (!existing) product.skus.push(variant);
+  return existing ? 'updated' : 'created';
+}
+
+// Product rows are keyed by sku; variant rows attach to their parentSku's group
+function groupRows(rows, results) {
+  const groups = new Map();
+  const groupFor = (sku) => {
+    if (!groups.has(sku)) groups.set(sku, { sku, productRow: null, variantRows: [] });
+    return groups.get(sku);
+  };
+
+  rows.forEach(({ row, values }, index) => {
+    const sku = values.sku || '';
+    const parentSku = values.parentSku || '';
+    const fail = message => { results[index] = { row, sku, parentSku, status: 'failed', messages: [message] }; };
+
+    if (parentSku) {
+      groupFor(parentSku).variantRows.push({ index, row, values });
+    } else if (values.options) {
+      fail('parentSku is required for variant rows');
+    } else if (!sku) {
+      fail('sku is required');
+    } else if (groups.get(sku)?.productRow) {
+      fail(`sku "${sku}" is already used on row ${groups.get(sku).productRow.row}`);
+    } else {
+      groupFor(sku).productRow = { index, row, values };
+    }
+  });
+
+  return Array.from(groups.values());
+}
+
+async function importGroup(group, seller, categories, results) {
+  const { sku, productRow, variantRows } = group;
+  const entries = [productRow, ...variantRows].filter(Boolean);
+  const record = (entry, status, messages = [], productId = null) => {
+    results[entry.index] = {
+      row: entry.row,
+      sku: entry.values.sku || '',
+      parentSku: entry.values.parentSku || '',
+      status,
+      product: productId,
+      messages,
+    };
+  };
+
+  let product = await Product.findOne({ seller: seller.userId, sku });
+  const isNew = !product;
+  if (isNew && !productRow) {
+    entries.forEach(entry => record(entry, 'failed', [`No product with sku "${sku}" in this file or your catalogue`]));
+    return;
+  }
+  if (product && product.archivedAt) {
+    entries.forEach(entry => record(entry, 'failed', [`Product "${sku}" is archived; restore it before importing changes`]));
+    return;
+  }
+  if (isNew) {
+    product = new Product({ seller: seller.userId, sellerProfile: seller.sellerProfileId, sku });
+  }
+  const previousCategory = product.category ? String(product.category) : null;
+  const before = isNew ? null : contentOf(product);
+
+  if (productRow) {
+    const messages = [];
+    applyProductRow(product, productRow.values, categories, messages);
+    if (messages.length) {
+      // Variants can't be saved without their product row
+      record(productRow, 'failed', messages);
+      variantRows.forEach(entry => record(entry, 'failed', ['The product row for this variant has errors']));
+      return;
+    }
+  }
+
+  const applied = [];
+  variantRows.forEach((entry) => {
+    const messages = [];
+    const outcome = applyVariantRow(product, entry.values, messages);
+    if (outcome) applied.push({ entry, outcome });
+    else record(entry, 'failed', messages);
+  });
+  if (!productRow && applied.length === 0) return;
+
+  let inReview = false;
+  try {
+    // Same review rule as editing in the product form: live listing changes wait for an admin
+    if (!isNew) {
+      await product.validate();
+      const revision = await stageSellerEdit(product, before, seller.userId);
+      inReview = Boolean(revision) && String(product.pendingRevision) === String(revision._id);
+    }
+    await saveWithFreeSlug(product);
+    if (isNew) {
+      await recordCreation(product, seller.userId);
+      await recordModeration('product', product, { owner: seller.userId, action: 'submitted', actor: seller.userId });
+    }
+  } catch (error) {
+    const messages = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(e => e.message)
+      : [error.message];
+    if (productRow) record(productRow, 'failed', messages);
+    applied.forEach(({ entry }) => record(entry, 'failed', messages));
+    return;
+  }
+
+  if (isNew) {
+    await Category.findByIdAndUpdate(product.category, { $inc: { productCount: 1 } });
+    await Seller.findByIdAndUpdate(seller.sellerProfileId, { $inc: { totalProducts: 1 } });
+  } else if (previousCategory && previousCategory !== String(product.category)) {
+    await Category.findByIdAndUpdate(previousCategory, { $inc: { productCount: -1 } });
+    await Category.findByIdAndUpdate(product.category, { $inc: { productCount: 1 } });
+  }
+
+  const notes = inReview ? ['Listing changes are waiting for admin review'] : [];
+  if (productRow) record(productRow, isNew ? 'created' : 'updated', notes, product._id);
+  applied.forEach(({ entry, outcome }) => record(entry, outcome, notes, product._id));
+}
+
+async function runImportJob(jobId, rows, seller) {
+  const results = new Array(rows.length);
+  try {
+    await ProductImportJob.updateOne({ _id: jobId }, { status: 'processing', startedAt: new Date() });
+
+    const categories = await loadCategoryLookup();
+    const groups = groupRows(rows, results);
+    let processed = results.filter(Boolean).length;
+    let reported = 0;
+
+    for (const group of groups) {
+      await importGroup(group, seller, categories, results);
+      processed += (group.productRow ? 1 : 0) + group.variantRows.length;
+      if (processed - reported >= PROGRESS_EVERY_ROWS) {
+        reported = processed;
+        await ProductImportJob.updateOne({ _id: jobId }, { processedRows: processed });
+      }
+    }
+
+    const count = status => results.filter(r => r && r.status === status).length;
+    await ProductImportJob.updateOne({ _id: jobId }, {
+      status: 'completed',
+      processedRows: rows.length,
+      createdCount: count('created'),
+      updatedCount: count('updated'),
+      failedCount: count('failed'),
+      rows: results.filter(Boolean),
+      finishedAt: new Date(),
+    });
+    logger.info('Product import finished', { jobId: String(jobId), rows: rows.length, failed: count('failed') });
+  } catch (error) {
+    logger.error(`Product import ${jobId} failed: ${error.message}`);
+    await ProductImportJob.updateOne({ _id: jobId }, {
+      status: 'failed',
+      error: 'The import stopped because of a server error. Rows listed in the result file were processed.',
+      rows: results.filter(Boolean),
+      finishedAt: new Date(),
+    }).catch(() => {});
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────
+
+// Reads and checks the uploaded file, then processes it in the background.
+// Resolves to { job } or { error } for problems with the file as a whole.
+async function startImport(file, { userId, sellerProfileId }) {
+  const format = detectFormat(file);
+  if (!format) return { error: 'Upload a .csv or .xlsx file' };
+
+  let parsed;
+  try {
+    parsed = await readRows(file.buffer, format);
+  } catch (error) {
+    return { error: `Could not read the file: ${error.message}` };
+  }
+
+  if (!parsed.headers.includes('sku')) {
+    return { error: 'The first row must be the column headers, including "sku". Download the template to get started.' };
+  }
+  if (parsed.rows.length === 0) return { error: 'The file has no product rows' };
+  if (parsed.rows.length > PRODUCT_IMPORT_MAX_ROWS) {
+    return { error: `A file can have at most ${PRODUCT_IMPORT_MAX_ROWS} rows. Split it into smaller files.` };
+  }
+
+  const job = await ProductImportJob.create({
+    seller: userId,
+    fileName: file.originalname || '',
+    format,
+    totalRows: parsed.rows.length,
+  });
+
+  setImmediate(() => runImportJob(job._id, parsed.rows, { userId, sellerProfileId }));
+  return { job };
+}
+
+// Jobs lost to a restart would otherwise show as running forever
+async function markIfStalled(job) {
+  if (!job.isRunning() || Date.now() - job.updatedAt.getTime() < STALLED_AFTER_MS) return job;
+  job.status = 'failed';
+  job.error = 'The import stopped unexpectedly. Please upload the file again; rows already imported will be updated, not duplicated.';
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+}
+
+function toJobSummary(job) {
+  return {
+    _id: job._id,
+    fileName: job.fileName,
+    format: job.format,
+    status: job.status,
+    totalRows: job.totalRows,
+    processedRows: job.processedRows,
+    progress: job.totalRows ? Math.round((job.processedRows / job.totalRows) * 100) : 0,
+    createdCount: job.createdCount,
+    updatedCount: job.updatedCount,
+    failedCount: job.failedCount,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function buildResultRows(job) {
+  return job.rows.map(r => ({
+    row: r.row,
+    sku: r.sku,
+    parentSku: r.parentSku,
+    status: r.status,
+    product: r.product ? String(r.product) : '',
+    messages: r.messages.join('; '),
+  }));
+}
+
+// One row per product, followed by one row per variant SKU
+function buildExportRows(products) {
+  const rows = [];
+  products.forEach((p) => {
+    rows.push({
+      sku: p.sku || '',
+      name: p.name,
+      category: p.category?.name || '',
+      price: p.price,
+      mrp: p.mrp,
+      stock: p.stock,
+      brand: p.brand || '',
+      shortDescription: p.shortDescription || '',
+      description: p.description || '',
+      tags: (p.tags || []).join(` ${LIST_SEPARATOR} `),
+      sizes: (p.sizes || []).join(` ${LIST_SEPARATOR} `),
+      images: (p.images || []).map(img => img.url).join(` ${LIST_SEPARATOR} `),
+      specifications: formatPairs((p.specifications || []).filter(s => s.key).map(s => [s.key, s.value])),
+      weight: p.weight || 0,
+      shippingCost: p.shippingInfo?.shippingCost ?? 0,
+      estimatedDays: p.shippingInfo?.estimatedDays ?? 5,
+      returnable: formatBoolean(p.returnPolicy?.returnable !== false),
+      returnDays: p.returnPolicy?.returnDays ?? 7,
+      isActive: formatBoolean(p.isActive),
+    });
+
+    (p.skus || []).forEach((v) => {
+      rows.push({
+        sku: v.sku || '',
+        parentSku: p.sku || '',
+        options: formatPairs(v.options instanceof Map ? Array.from(v.options.entries()) : Object.entries(v.options || {})),
+        price: v.price,
+        mrp: v.mrp || '',
+        stock: v.stock,
+        images: (v.images || []).map(img => img.url).join(` ${LIST_SEPARATOR} `),
+        weight: v.weight || '',
+        isActive: formatBoolean(v.isActive),
+      });
+    });
+  });
+  return rows;
+}
+
+function buildTemplateRows(categoryName = 'Electronics') {
+  return [
+    {
+      sku: 'DLF-EARBUDS-01',
+      name: 'Wireless Earbuds',
+      category: categoryName,
+      price: 1499,
+      mrp: 2999,
+      stock: 50,
+      brand: 'Dealify',
+      description: 'Bluetooth 5.3 earbuds with 30 hours of battery life.',
+      tags: 'wireless | bluetooth | audio',
+      images: 'https://example.com/earbuds.jpg',
+      specifications: 'Battery: 30 hours | Connectivity: Bluetooth 5.3',
+      weight: 60,
+      shippingCost: 0,
+      estimatedDays: 5,
+      returnable: 'yes',
+      returnDays: 7,
+      isActive: 'yes',
+    },
+    {
+      sku: 'DLF-TEE-01',
+      name: 'Cotton Crew Neck T-Shirt',
+      category: categoryName,
+      description: 'Soft 100% cotton t-shirt.',
+      tags: 'tshirt | cotton',
+      shippingCost: 49,
+      returnable: 'yes',
+      isActive: 'yes',
+    },
+    { sku: 'DLF-TEE-01-M-RED', parentSku: 'DLF-TEE-01', options: 'Size: M | Color: Red', price: 499, mrp: 799, stock: 20, isActive: 'yes' },
+    { sku: 'DLF-TEE-01-L-RED', parentSku: 'DLF-TEE-01', options: 'Size: L | Color: Red', price: 499, mrp: 799, stock: 15, isActive: 'yes' },
+  ];
+}
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  RESULT_COLUMNS,
+  PRODUCT_IMPORT_MAX_ROWS,
+  startImport,
+  markIfStalled,
+  toJobSummary,
+  buildResultRows,
+  buildExportRows,
+  buildTemplateRows,
+};
@@ -0,0 +1,242 @@
+const Category = require('../models/Category');
+const ProductRevision = require('../models/ProductRevision');
+const { saveWithFreeSlug } = require('../utils/slugs');
+
+// Listing content buyers see. On a live product, seller edits to these wait for admin review;
+// stock, shipping and other operational fields apply straight away.
+const REVIEWED_FIELDS = [
+  'name', 'description', 'shortDescription', 'brand', 'category', 'tags',
+  'images', 'specifications', 'price', 'mrp', 'variants', 'skus',
+];
+// Plain paths that can be put back without touching anything else
+const SCALAR_FIELDS = ['name', 'description', 'shortDescription', 'brand', 'category', 'price', 'mrp'];
+// Per-SKU values sellers change freely
+const SKU_OPERATIONAL_FIELDS = ['sku', 'stock', 'lowStockThreshold', 'weight', 'isActive'];
+
+const pick = (source, keys) => Object.fromEntries(keys.map(key => [key, source[key]]));
+const withoutIds = list => (list || []).map(({ _id, id, ...rest }) => rest);
+
+// The reviewed part of a product as plain JSON: what revisions store, compare and restore.
+// Products sold in variants take price and MRP from their SKUs, so only the SKUs count.
+function contentOf(product) {
+  const obj = product.toObject({ depopulate: true, flattenMaps: true, virtuals: false });
+  const hasSkus = Array.isArray(obj.skus) && obj.skus.length > 0;
+  return JSON.parse(JSON.stringify({
+    name: obj.name,
+    description: obj.description,
+    shortDescription: obj.shortDescription,
+    brand: obj.brand,
+    category: obj.category,
+    tags: obj.tags || [],
+    images: withoutIds(obj.images),
+    specifications: withoutIds(obj.specifications),
+    price: hasSkus ? undefined : obj.price,
+    mrp: hasSkus ? undefined : obj.mrp,
+    variants: withoutIds(obj.variants),
+    skus: (obj.skus || []).map(sku => ({ ...sku, images: withoutIds(sku.images) })),
+  }));
+}
+
+// SKUs are compared on what buyers see, not on stock
+function comparable(content, field) {
+  const value = content[field];
+  if (field !== 'skus') return JSON.stringify(value);
+  return JSON.stringify((value || []).map(({ _id, options, price, mrp, images }) => ({ _id, options, price, mrp, images })));
+}
+
+function changedFields(before, after) {
+  return REVIEWED_FIELDS.filter(field => comparable(before, field) !== comparable(after, field));
+}
+
+// Sets `fields` on the product from a content snapshot. SKUs that still exist keep their
+// current stock and other operational values, so applying an older edit doesn't undo sales.
+function applyContent(product, content, fields) {
+  fields.forEach((field) => {
+    if (field !== 'skus') {
+      product.set(field, content[field]);
+      return;
+    }
+    const current = new Map(product.skus.map(sku => [String(sku._id), sku]));
+    product.skus = (content.skus || []).map((sku) => {
+      const live = current.get(String(sku._id));
+      return live ? { ...sku, ...pick(live, SKU_OPERATIONAL_FIELDS) } : sku;
+    });
+  });
+}
+
+async function syncCategoryCount(previousCategory, product) {
+  if (String(previousCategory) === String(product.category)) return;
+  await Category.findByIdAndUpdate(previousCategory, { $inc: { productCount: -1 } });
+  await Category.findByIdAndUpdate(product.category, { $inc: { productCount: 1 } });
+}
+
+// The first tracked change to a live listing also keeps what it looked like before,
+// so it can be rolled back to.
+async function nextRevisionNumber(product, before) {
+  const last = await ProductRevision.findOne({ product: product._id }).sort('-number').select('number');
+  if (last) return last.number + 1;
+  if (product.isApproved !== 'approved') return 1;
+
+  await ProductRevision.create({
+    product: product._id,
+    seller: product.seller,
+    number: 1,
+    kind: 'baseline',
+    status: 'approved',
+    snapshot: before,
+    createdBy: product.seller,
+  });
+  return 2;
+}
+
+async function supersedePending(product, keep = null) {
+  await ProductRevision.updateMany(
+    { product: product._id, status: 'pending', snapshot: null, _id: { $ne: keep } },
+    { status: 'superseded' }
+  );
+}
+
+// Records a seller's edit to `product`: call once the new values are set on the document
+// (and validated), before saving it. `before` is contentOf() the product as loaded.
+// On a live product the reviewed changes are taken back off the document and wait in a
+// pending revision, so buyers keep seeing the approved listing. On a product that isn't
+// live yet they are saved with it. Returns the revision, or null when no reviewed field changed.
+async function stageSellerEdit(product, before, userId) {
+  const after = contentOf(product);
+  const fields = changedFields(before, after);
+  const live = product.isApproved === 'approved';
+
+  if (fields.length === 0) {
+    // The seller put everything back the way it is live: nothing left to review
+    if (live && product.pendingRevision) {
+      await supersedePending(product);
+      product.pendingRevision = null;
+    }
+    return null;
+  }
+
+  if (live) {
+    applyContent(product, before, fields);
+    SCALAR_FIELDS.filter(field => fields.includes(field)).forEach(field => product.unmarkModified(field));
+
+    // Saving the form again without touching the pending changes keeps their place in the queue
+    const pending = product.pendingRevision && await ProductRevision.findOne({ _id: product.pendingRevision, status: 'pending' });
+    if (pending && JSON.stringify(pending.fields) === JSON.stringify(fields)
+      && fields.every(field => comparable(pending.after, field) === comparable(after, field))) {
+      return pending;
+    }
+  }
+
+  const revision = new ProductRevision({
+    product: product._id,
+    seller: product.seller,
+    number: await nextRevisionNumber(product, before),
+    kind: 'edit',
+    status: 'pending',
+    fields,
+    before: pick(before, fields),
+    after: pick(after, fields),
+    snapshot: live ? null : after,
+    createdBy: userId,
+  });
+  await supersedePending(product, revision._id);
+  product.pendingRevision = live ? revision._id : null;
+  await revision.save();
+  return revision;
+}
+
+// Revision 1 of a new product, settled when the product itself is approved or rejected
+function recordCreation(product, userId) {
+  const content = contentOf(product);
+  const fields = REVIEWED_FIELDS.filter(field => content[field] !== undefined);
+  return ProductRevision.create({
+    product: product._id,
+    seller: product.seller,
+    number: 1,
+    kind: 'create',
+    status: 'pending',
+    fields,
+    after: pick(content, fields),
+    snapshot: content,
+    createdBy: userId,
+  });
+}
+
+// Approving or rejecting a product settles the edits saved while it wasn't live
+function settleAppliedRevisions(product, status, reviewerId) {
+  return ProductRevision.updateMany(
+    { product: product._id, status: 'pending', snapshot: { $ne: null } },
+    { status, reviewedBy: reviewerId, reviewedAt: new Date() }
+  );
+}
+
+// Approve (apply to the live listing) or reject a pending edit. Throws NOT_LIVE when the
+// product isn't live: its edits are settled by approving the product itself.
+async function reviewRevision(revision, product, { status, note = '', reviewerId }) {
+  if (product.isApproved !== 'approved' || revision.snapshot) throw new Error('NOT_LIVE');
+
+  if (status === 'approved') {
+    const previousCategory = product.category;
+    const before = contentOf(product);
+    applyContent(product, revision.after, revision.fields);
+    product.pendingRevision = null;
+    await saveWithFreeSlug(product);
+    await syncCategoryCount(previousCategory, product);
+
+    revision.before = pick(before, revision.fields);
+    revision.snapshot = contentOf(product);
+  } else {
+    product.pendingRevision = null;
+    await product.save();
+  }
+
+  revision.status = status;
+  revision.reviewNote = note;
+  revision.reviewedBy = reviewerId;
+  revision.reviewedAt = new Date();
+  await revision.save();
+  return revision;
+}
+
+// Restores the listing to an approved revision's snapshot, recorded as a new revision.
+// Throws NOTHING_TO_ROLL_BACK when the listing already matches it.
+async function rollbackTo(product, target, reviewerId) {
+  const before = contentOf(product);
+  const fields = changedFields(before, target.snapshot);
+  if (fields.length === 0) throw new Error('NOTHING_TO_ROLL_BACK');
+
+  const previousCategory = product.category;
+  applyContent(product, target.snapshot, fields);
+  await product.validate();
+  const number = await nextRevisionNumber(product, before);
+  await saveWithFreeSlug(product);
+  await syncCategoryCount(previousCategory, product);
+
+  const now = new Date();
+  return ProductRevision.create({
+    product: product._id,
+    seller: product.seller,
+    number,
+    kind: 'rollback',
+    status: 'approved',
+    fields,
+    before: pick(before, fields),
+    after: pick(target.snapshot, fields),
+    snapshot: contentOf(product),
+    rolledBackTo: target.number,
+    createdBy: reviewerId,
+    reviewedBy: reviewerId,
+    reviewedAt: now,
+  });
+}
+
+module.exports = {
+  REVIEWED_FIELDS,
+  contentOf,
+  stageSellerEdit,
+  recordCreation,
+  settleAppliedRevisions,
+  supersedePending,
+  reviewRevision,
+  rollbackTo,
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { escapeRegex } = require('../utils/helpers');
+const { slugFilter } = require('../utils/slugs');
+const { matchText } = require('./searchService');
+
+// Lower bounds of the price histogram buckets (₹); the last bucket is open-ended
+const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000, 10000, 25000, 50000];
+const RATING_BUCKETS = [4, 3, 2, 1];
+const BRAND_FACET_LIMIT = 20;
+const SPEC_FACET_KEYS = 8;
+const SPEC_FACET_VALUES = 12;
+const MAX_SPEC_FILTERS = 5;
+
+// "a,b" or ["a", "b"] → ['a', 'b']; anything that isn't a string (e.g. {$ne: ...}) is dropped
+function toList(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// Turns list query params into filter parts, one per facet, so each facet can be counted
+// with every filter applied except its own (picking a brand doesn't hide the other brands).
+async function buildSearchFilters(query = {}) {
+  const { category, search, minPrice, maxPrice, brand, rating, featured, seller, inStock, spec } = query;
+
+  const base = { isActive: true, isApproved: 'approved' };
+  // The search driver decides how text matches (Mongo text index or an external engine)
+  let rankedIds = null;
+  if (search) {
+    const match = await matchText(search);
+    Object.assign(base, match.condition);
+    rankedIds = match.rankedIds;
+  }
+  if (featured === 'true') base.isFeatured = true;
+  if (seller) {
+    // Aggregations don't cast, so compare as an ObjectId; an invalid id simply matches nothing
+    base.seller = mongoose.isValidObjectId(seller) ? new mongoose.Types.ObjectId(String(seller)) : null;
+  }
+
+  const parts = { category: null, price: null, brand: null, rating: null, inStock: null, specs: {} };
+  let selectedCategory = null;
+
+  if (category) {
+    selectedCategory = await Category.findOne(slugFilter(String(category)));
+    if (selectedCategory) {
+      // Include subcategories
+      const subCats = await Category.find({ parent: selectedCategory._id }).select('_id');
+      parts.category = { category: { $in: [selectedCategory._id, ...subCats.map(s => s._id)] } };
+    }
+  }
+
+  const min = toNumber(minPrice);
+  const max = toNumber(maxPrice);
+  if (min !== null || max !== null) {
+    parts.price = { price: {} };
+    if (min !== null) parts.price.price.$gte = min;
+    if (max !== null) parts.price.price.$lte = max;
+  }
+
+  const brands = toList(brand);
+  if (brands.length) {
+    parts.brand = { brand: { $in: brands.map(b => new RegExp(`^${escapeRegex(b)}$`, 'i')) } };
+  }
+
+  const minRating = toNumber(rating);
+  if (minRating !== null) parts.rating = { rating: { $gte: minRating } };
+
+  if (inStock === 'true') parts.inStock = { stock: { $gt: 0 } };
+
+  // spec[Color]=Red,Blue → products with a Color spec of Red or Blue
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    Object.entries(spec).slice(0, MAX_SPEC_FILTERS).forEach(([key, value]) => {
+      const values = toList(value);
+      if (key && values.length) {
+        parts.specs[key] = { specifications: { $elemMatch: { key, value: { $in: values } } } };
+      }
+    });
+  }
+
+  return { base, parts, selectedCategory, rankedIds, filter: combineFilters(base, parts) };
+}
+
+// Filter with every part applied except those named in `except` ('brand', 'spec:Color', ...)
+function combineFilters(base, parts, except = []) {
+  const conditions = [];
+  ['category', 'price', 'brand', 'rating', 'inStock'].forEach((name) => {
+    if (parts[name] && !except.includes(name)) conditions.push(parts[name]);
+  });
+  Object.entries(parts.specs).forEach(([key, condition]) => {
+    if (!except.includes(`spec:${key}`)) conditions.push(condition);
+  });
+
+  return conditions.length ? { ...base, $and: conditions } : { ...base };
+}
+
+// $facet sub-pipelines can't use $text, so the base filter runs once up front and each
+// facet only re-applies the parts it keeps
+function subMatch(parts, except) {
+  const { $and } = combineFilters({}, parts, except);
+  return $and ? [{ $match: { $and } }] : [];
+}
+
+async function getFacets({ base, parts, selectedCategory }) {
+  const selectedSpecKeys = Object.keys(parts.specs);
+
+  const facetStages = {
+    brands: [
+      ...subMatch(parts, ['brand']),
+      { $match: { brand: { $nin: ['', null] } } },
+      { $group: { _id: '$brand', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: BRAND_FACET_LIMIT },
+    ],
+    price: [
+      ...subMatch(parts, ['price']),
+      { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } },
+    ],
+    rating: [
+      ...subMatch(parts, ['rating']),
+      {
+        $group: RATING_BUCKETS.reduce((group, min) => ({
+          ...group,
+          [`r${min}`]: { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } },
+        }), { _id: null }),
+      },
+    ],
+    categories: [
+      ...subMatch(parts, []),
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ],
+    inStock: [
+      ...subMatch(parts, ['inStock']),
+      { $match: { stock: { $gt: 0 } } },
+      { $count: 'count' },
+    ],
+    specs: [
+      ...subMatch(parts, []),
+      { $unwind: '$specifications' },
+      { $match: { 'specifications.key': { $nin: ['', null, ...selectedSpecKeys] }, 'specifications.value': { $nin: ['', null] } } },
+      { $group: { _id: { key: '$specifications.key', value: '$specifications.value' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $group: { _id: '$_id.key', values: { $push: { value: '$_id.value', count: '$count' } }, total: { $sum: '$count' } } },
+      // A spec every product shares (one value) is no use as a filter
+      { $match: { 'values.1': { $exists: true } } },
+      { $sort: { total: -1, _id: 1 } },
+      { $limit: SPEC_FACET_KEYS },
+      { $project: { values: { $slice: ['$values', SPEC_FACET_VALUES] } } },
+    ],
+  };
+
+  // Specs the buyer has already picked from keep showing their other values
+  selectedSpecKeys.forEach((key, i) => {
+    facetStages[`spec${i}`] = [
+      ...subMatch(parts, [`spec:${key}`]),
+      { $unwind: '$specifications' },
+      { $match: { 'specifications.key': key } },
+      { $group: { _id: '$specifications.value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: SPEC_FACET_VALUES },
+    ];
+  });
+
+  const [result] = await Product.aggregate([{ $match: base }, { $facet: facetStages }]);
+
+  const ratingCounts = result.rating[0] || {};
+  const specifications = [
+    ...selectedSpecKeys.map((key, i) => ({
+      key,
+      values: result[`spec${i}`].map(v => ({ value: v._id, count: v.count })),
+    })),
+    ...result.specs.map(s => ({ key: s._id, values: s.values })),
+  ];
+
+  return {
+    brands: result.brands.map(b => ({ value: b._id, count: b.count })),
+    price: result.price.map((bucket) => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return bucket._id === 'above'
+        ? { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count }
+        : { min: bucket._id, max: PRICE_BUCKETS[index + 1] ?? null, count: bucket.count };
+    }),
+    rating: RATING_BUCKETS.map(min => ({ min, count: ratingCounts[`r${min}`] || 0 })),
+    categories: await buildCategoryFacet(result.categories, selectedCategory),
+    inStock: result.inStock[0]?.count || 0,
+    specifications,
+  };
+}
+
+// With a category picked: counts for its subcategories. Otherwise: counts per top-level category.
+async function buildCategoryFacet(groups, selectedCategory) {
+  const counts = new Map(groups.map(g => [String(g._id), g.count]));
+  const categories = await Category.find({ isActive: true }).select('name slug icon parent');
+  const toFacet = (cat, count) => ({ _id: cat._id, name: cat.name, slug: cat.slug, icon: cat.icon, count });
+
+  if (selectedCategory) {
+    return categories
+      .filter(cat => String(cat.parent) === String(selectedCategory._id))
+      .map(cat => toFacet(cat, counts.get(String(cat._id)) || 0))
+      .filter(facet => facet.count > 0)
+      .sort((a, b) => b.count - a.count);
+  }
+
+  const byId = new Map(categories.map(cat => [String(cat._id), cat]));
+  const rootCounts = new Map();
+  counts.forEach((count, id) => {
+    const cat = byId.get(id);
+    if (!cat) return;
+    const root = (cat.parent && byId.get(String(cat.parent))) || cat;
+    rootCounts.set(root, (rootCounts.get(root) || 0) + count);
+  });
+
+  return Array.from(rootCounts.entries())
+    .map(([cat, count]) => toFacet(cat, count))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { buildSearchFilters, getFacets };
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ProductView = require('../models/ProductView');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const logger = require('../utils/logger');
+
+const RECOMMENDATION_LOOKBACK_DAYS = Number(process.env.RECOMMENDATION_LOOKBACK_DAYS || 180);
+const RECOMMENDATION_REFRESH_HOURS = Number(process.env.RECOMMENDATION_REFRESH_HOURS || 6);
+const NEIGHBOURS_KEPT = 20;
+// Pairs grow quadratically, so only this many products per order / viewer are paired up
+const MAX_BASKET_SIZE = 30;
+const SIMILAR_CANDIDATES = 60;
+
+// Only products a buyer could add to the cart right now are ever recommended
+const AVAILABLE_FILTER = { isActive: true, isApproved: 'approved', stock: { $gt: 0 } };
+const CARD_FIELDS = 'name slug price mrp discount images rating numReviews brand stock';
+
+// ─── Periodic refresh ─────────────────────────────────────
+
+// Expects documents shaped { products: [ids] }; yields { _id: product, items: [{ product, score }] }
+// where score is how many baskets the two products share
+function pairStages() {
+  return [
+    { $project: { products: { $slice: ['$products', MAX_BASKET_SIZE] } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { a: '$products', b: '$products' } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $ne: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, score: { $sum: 1 } } },
+    { $sort: { score: -1 } },
+    { $group: { _id: '$_id.a', items: { $push: { product: '$_id.b', score: '$score' } } } },
+    { $project: { items: { $slice: ['$items', NEIGHBOURS_KEPT] } } },
+  ];
+}
+
+async function refreshRecommendations() {
+  const startedAt = new Date();
+  const since = new Date(Date.now() - RECOMMENDATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const [boughtTogether, alsoViewed] = await Promise.all([
+    Order.aggregate([
+      { $match: { createdAt: { $gte: since }, orderStatus: { $ne: 'cancelled' } } },
+      { $project: { products: { $setUnion: ['$items.product', []] } } },
+      ...pairStages(),
+    ]).allowDiskUse(true),
+    ProductView.aggregate([
+      { $match: { lastViewedAt: { $gte: since } } },
+      { $group: { _id: { $ifNull: ['$user', '$deviceId'] }, products: { $addToSet: '$product' } } },
+      ...pairStages(),
+    ]).allowDiskUse(true),
+  ]);
+
+  const byProduct = new Map();
+  const entryFor = (id) => {
+    const key = String(id);
+    if (!byProduct.has(key)) byProduct.set(key, { product: id, boughtTogether: [], alsoViewed: [] });
+    return byProduct.get(key);
+  };
+  boughtTogether.forEach((row) => { entryFor(row._id).boughtTogether = row.items; });
+  alsoViewed.forEach((row) => { entryFor(row._id).alsoViewed = row.items; });
+
+  const operations = Array.from(byProduct.values()).map(rec => ({
+    updateOne: {
+      filter: { product: rec.product },
+      update: { $set: { ...rec, computedAt: startedAt } },
+      upsert: true,
+    },
+  }));
+  for (let i = 0; i < operations.length; i += 1000) {
+    await ProductRecommendation.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+  }
+  // Products that no longer have any neighbours
+  await ProductRecommendation.deleteMany({ computedAt: { $lt: startedAt } });
+
+  return byProduct.size;
+}
+
+let refreshTimer = null;
+let refreshing = false;
+
+async function runRefresh() {
+  if (refreshing) return;
+  refreshing = true;
+  try {
+    const count = await refreshRecommendations();
+    logger.info(`Recommendations refreshed for ${count} products`);
+  } catch (error) {
+    logger.error(`Recommendation refresh failed: ${error.message}`);
+  } finally {
+    refreshing = false;
+  }
+}
+
+// Started once from server.js; RECOMMENDATION_REFRESH_HOURS=0 turns the job off
+function startRecommendationJob() {
+  if (refreshTimer || RECOMMENDATION_REFRESH_HOURS <= 0) return;
+  setTimeout(runRefresh, 60 * 1000).unref();
+  refreshTimer = setInterval(runRefresh, RECOMMENDATION_REFRESH_HOURS * 60 * 60 * 1000);
+  refreshTimer.unref();
+}
+
+// ─── Lookups ──────────────────────────────────────────────
+
+// Available products among `ids`, in the same order, skipping `exclude`
+async function loadAvailable(ids, { exclude = [], limit }) {
+  const skip = new Set(exclude.map(String));
+  const wanted = ids.map(String).filter(id => !skip.has(id));
+  if (!wanted.length) return [];
+
+  const products = await Product.find({ _id: { $in: wanted }, ...AVAILABLE_FILTER }).select(CARD_FIELDS).lean();
+  const byId = new Map(products.map(p => [String(p._id), p]));
+  return wanted.map(id => byId.get(id)).filter(Boolean).slice(0, limit);
+}
+
+async function getBoughtTogether(product, { limit = 4 } = {}) {
+  const rec = await ProductRecommendation.findOne({ product: product._id }).lean();
+  if (!rec) return [];
+  return loadAvailable(rec.boughtTogether.map(item => item.product), { exclude: [product._id], limit });
+}
+
+// Same category or brand, ranked by category > brand > shared tags > closeness in price
+async function getSimilar(product, { exclude = [], limit = 8 } = {}) {
+  const or = [{ category: product.category }];
+  if (product.brand) or.push({ brand: product.brand });
+
+  const candidates = await Product.find({
+    _id: { $nin: [product._id, ...exclude.map(id => new mongoose.Types.ObjectId(String(id)))] },
+    ...AVAILABLE_FILTER,
+    $or: or,
+  })
+    .sort({ totalSold: -1 })
+    .limit(SIMILAR_CANDIDATES)
+    .select(`${CARD_FIELDS} category tags`)
+    .lean();
+
+  const tags = new Set((product.tags || []).map(tag => tag.toLowerCase()));
+  const score = (p) => {
+    let value = 0;
+    if (String(p.category) === String(product.category)) value += 3;
+    if (product.brand && p.brand === product.brand) value += 2;
+    value += Math.min(3, (p.tags || []).filter(tag => tags.has(tag.toLowerCase())).length) * 0.5;
+    if (product.price > 0) value += 1 - Math.min(1, Math.abs(p.price - product.price) / product.price);
+    return value;
+  };
+
+  return candidates
+    .map(p => ({ p, value: score(p) }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit)
+    .map(({ p }) => p);
+}
+
+// "Customers who viewed this also viewed" plus similar items that aren't already in that list
+async function getRelated(product, { limit = 8 } = {}) {
+  const rec = await ProductRecommendation.findOne({ product: product._id }).lean();
+  const alsoViewed = rec
+    ? await loadAvailable(rec.alsoViewed.map(item => item.product), { exclude: [product._id], limit })
+    : [];
+  const similar = await getSimilar(product, { exclude: alsoViewed.map(p => p._id), limit });
+  return { alsoViewed, similar };
+}
+
+module.exports = {
+  refreshRecommendations,
+  startRecommendationJob,
+  getBoughtTogether,
+  getRelated,
+};
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/helpers');
+const { getSynonymGroups } = require('../config/searchSynonyms');
+
+// Only these products are searchable; everything else is kept out of external indexes
+const SEARCHABLE_FILTER = { isActive: true, isApproved: 'approved' };
+const REINDEX_BATCH_SIZE = 500;
+
+// ─── Synonyms ─────────────────────────────────────────────
+
+function containsTerm(text, term) {
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+// "mobile cover" → "mobile cover phone smartphone cellphone"
+function expandSynonyms(text) {
+  const extra = new Set();
+  getSynonymGroups().forEach((group) => {
+    if (!group.some(term => containsTerm(text, term))) return;
+    group.filter(term => !containsTerm(text, term)).forEach(term => extra.add(term));
+  });
+  return extra.size ? `${text} ${Array.from(extra).join(' ')}` : text;
+}
+
+// Meilisearch wants every term of a group pointing at all the others
+function synonymMap() {
+  const map = {};
+  getSynonymGroups().forEach((group) => {
+    group.forEach((term) => {
+      map[term] = Array.from(new Set([...(map[term] || []), ...group.filter(other => other !== term)]));
+    });
+  });
+  return map;
+}
+
+// ─── Drivers ──────────────────────────────────────────────
+// A driver turns search text into a Mongo condition for the product list:
+//   search(text) → { condition, rankedIds }  (rankedIds: best match first, or null)
+// Drivers backed by an external engine set `syncsDocuments` and also implement
+// upsert(documents), remove(ids) and reindex(batches) to keep their index current.
+// Pick one with SEARCH_DRIVER; others can be added with registerSearchDriver().
+
+// Default: the products text index, ranked by Mongo's text score
+const mongoDriver = {
+  syncsDocuments: false,
+
+  async search(text) {
+    return { condition: { $text: { $search: expandSynonyms(text) } }, rankedIds: null };
+  },
+
+  async reindex() {
+    await Product.createIndexes();
+  },
+};
+
+function meiliConfig() {
+  return {
+    host: (process.env.MEILISEARCH_HOST || 'http://127.0.0.1:7700').replace(/\/+$/, ''),
+    apiKey: process.env.MEILISEARCH_API_KEY || '',
+    index: process.env.MEILISEARCH_INDEX || 'products',
+    maxHits: Number(process.env.SEARCH_MAX_HITS) || 1000,
+  };
+}
+
+async function meiliRequest(method, pathname, body) {
+  const { host, apiKey } = meiliConfig();
+  const response = await fetch(`${host}${pathname}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`Meilisearch ${method} ${pathname} failed: ${data?.message || response.status}`);
+  }
+  return data;
+}
+
+// Index writes are queued as tasks; wait for one when the next step depends on it
+async function waitForMeiliTask(task, { allowFailure = false, timeoutMs = 120000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const status = await meiliRequest('GET', `/tasks/${task.taskUid}`);
+    if (status.status === 'succeeded') return status;
+    if (status.status === 'failed' || status.status === 'canceled') {
+      if (allowFailure) return status;
+      throw new Error(`Meilisearch task ${task.taskUid} ${status.status}: ${status.error?.message || ''}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Meilisearch task ${task.taskUid} timed out`);
+}
+
+const meilisearchDriver = {
+  syncsDocuments: true,
+
+  async search(text) {
+    const { index, maxHits } = meiliConfig();
+    const result = await meiliRequest('POST', `/indexes/${index}/search`, {
+      q: text,
+      limit: maxHits,
+      attributesToRetrieve: ['id'],
+    });
+    const rankedIds = result.hits.map(hit => hit.id).filter(id => mongoose.isValidObjectId(id));
+    return {
+      condition: { _id: { $in: rankedIds.map(id => new mongoose.Types.ObjectId(id)) } },
+      rankedIds,
+    };
+  },
+
+  async upsert(documents) {
+    const { index } = meiliConfig();
+    if (documents.length) await meiliRequest('POST', `/indexes/${index}/documents?primaryKey=id`, documents);
+  },
+
+  async remove(ids) {
+    const { index } = meiliConfig();
+    if (ids.length) await meiliRequest('POST', `/indexes/${index}/documents/delete-batch`, ids);
+  },
+
+  // Builds a fresh index next to the live one and swaps them, so search keeps working meanwhile
+  async reindex(batches) {
+    const { index, maxHits } = meiliConfig();
+    const staging = `${index}_reindex`;
+
+    await waitForMeiliTask(await meiliRequest('DELETE', `/indexes/${staging}`), { allowFailure: true });
+    await waitForMeiliTask(await meiliRequest('POST', '/indexes', { uid: staging, primaryKey: 'id' }));
+    await waitForMeiliTask(await meiliRequest('PATCH', `/indexes/${staging}/settings`, {
+      searchableAttributes: ['name', 'brand', 'tags', 'category', 'skus', 'description'],
+      synonyms: synonymMap(),
+      pagination: { maxTotalHits: maxHits },
+    }));
+
+    for await (const documents of batches) {
+      await waitForMeiliTask(await meiliRequest('POST', `/indexes/${staging}/documents`, documents));
+    }
+
+    // Swapping needs both indexes to exist; the first reindex creates the live one
+    await waitForMeiliTask(await meiliRequest('POST', '/indexes', { uid: index, primaryKey: 'id' }), { allowFailure: true });
+    await waitForMeiliTask(await meiliRequest('POST', '/swap-indexes', [{ indexes: [index, staging] }]));
+    await waitForMeiliTask(await meiliRequest('DELETE', `/indexes/${staging}`), { allowFailure: true });
+  },
+};
+
+const drivers = {
+  mongo: mongoDriver,
+  meilisearch: meilisearchDriver,
+};
+
+function registerSearchDriver(name, driver) {
+  if (!driver || typeof driver.search !== 'function') {
+    throw new Error(`Search driver "${name}" must implement search(text)`);
+  }
+  if (driver.syncsDocuments && ['upsert', 'remove', 'reindex'].some(fn => typeof driver[fn] !== 'function')) {
+    throw new Error(`Search driver "${name}" must implement upsert, remove and reindex`);
+  }
+  drivers[name] = driver;
+}
+
+function getSearchDriver() {
+  const name = (process.env.SEARCH_DRIVER || 'mongo').trim();
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown SEARCH_DRIVER "${name}"`);
+  }
+  return driver;
+}
+
+// ─── Public API ───────────────────────────────────────────
+
+// Condition matching `text`, plus the engine's ranking when it has one.
+// If the engine is unreachable, search falls back to the Mongo text index.
+async function matchText(text) {
+  const driver = getSearchDriver();
+  try {
+    return await driver.search(String(text));
+  } catch (error) {
+    if (driver === mongoDriver) throw error;
+    logger.error(`Search driver error, falling back to Mongo: ${error.message}`);
+    return mongoDriver.search(String(text));
+  }
+}
+
+function toSearchDocument(product) {
+  return {
+    id: String(product._id),
+    name: product.name,
+    brand: product.brand || '',
+    tags: product.tags || [],
+    category: product.category?.name || '',
+    skus: [product.sku, ...(product.skus || []).map(variant => variant.sku)].filter(Boolean),
+    description: (product.description || '').slice(0, 2000),
+  };
+}
+
+function syncsSearchIndex() {
+  return Boolean(getSearchDriver().syncsDocuments);
+}
+
+// Pushes the current state of these products to the search engine (removing hidden ones).
+// Called from the Product model hooks; never throws.
+async function syncProducts(ids) {
+  if (!syncsSearchIndex() || !ids.length) return;
+
+  const driver = getSearchDriver();
+  try {
+    const products = await Product.find({ _id: { $in: ids }, ...SEARCHABLE_FILTER })
+      .populate('category', 'name')
+      .lean();
+    const found = new Set(products.map(p => String(p._id)));
+    await driver.upsert(products.map(toSearchDocument));
+    await driver.remove(ids.map(String).filter(id => !found.has(id)));
+  } catch (error) {
+    logger.error(`Search index sync failed: ${error.message}`);
+  }
+}
+
+async function* searchableBatches() {
+  let batch = [];
+  const cursor = Product.find(SEARCHABLE_FILTER).populate('category', 'name').lean().cursor();
+  for await (const product of cursor) {
+    batch.push(toSearchDocument(product));
+    if (batch.length >= REINDEX_BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+// Rebuilds the whole index from the database (npm run search:reindex)
+async function reindexProducts() {
+  await getSearchDriver().reindex(searchableBatches());
+  return Product.countDocuments(SEARCHABLE_FILTER);
+}
+
+module.exports = { matchText, syncProducts, syncsSearchIndex, reindexProducts, registerSearchDriver };
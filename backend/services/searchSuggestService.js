@@ -0,0 +1,219 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SearchQuery = require('../models/SearchQuery');
+const logger = require('../utils/logger');
+const { escapeRegex } = require('../utils/helpers');
+
+// The typo-correction vocabulary is rebuilt from the catalogue at most this often
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const VOCABULARY_MAX_PRODUCTS = 20000;
+const MAX_QUERY_LENGTH = 100;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+let vocabularyPromise = null;
+
+function normalizeQuery(query = '') {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+function tokenize(text = '') {
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length >= 2);
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), giving up past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    rows[i] = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      if (i === 0) { rows[i][j] = j; continue; }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, rows[i - 2][j - 2] + 1);
+      }
+      rows[i][j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (i > 0 && rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// Short words get one typo, longer ones two
+function allowedTypos(token) {
+  if (token.length <= 3) return 0;
+  return token.length <= 5 ? 1 : 2;
+}
+
+// Words from product names, brands, tags and category names, weighted by how often they occur
+async function buildVocabulary() {
+  const [products, categories] = await Promise.all([
+    Product.find({ isActive: true, isApproved: 'approved' })
+      .sort({ totalSold: -1 })
+      .limit(VOCABULARY_MAX_PRODUCTS)
+      .select('name brand tags')
+      .lean(),
+    Category.find({ isActive: true }).select('name slug icon').lean(),
+  ]);
+
+  const terms = new Map();
+  const brands = new Map();
+  const addTerms = (text, weight) => tokenize(text).forEach((token) => {
+    terms.set(token, (terms.get(token) || 0) + weight);
+  });
+
+  products.forEach((p) => {
+    addTerms(p.name, 1);
+    (p.tags || []).forEach(tag => addTerms(tag, 1));
+    if (p.brand) {
+      addTerms(p.brand, 2);
+      const key = p.brand.trim().toLowerCase();
+      const entry = brands.get(key) || { name: p.brand.trim(), count: 0 };
+      entry.count += 1;
+      brands.set(key, entry);
+    }
+  });
+  categories.forEach(cat => addTerms(cat.name, 3));
+
+  return { terms, brands: Array.from(brands.values()), categories };
+}
+
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabulary;
+  if (!vocabularyPromise) {
+    vocabularyPromise = buildVocabulary()
+      .then((built) => {
+        vocabulary = built;
+        vocabularyBuiltAt = Date.now();
+        return built;
+      })
+      .finally(() => { vocabularyPromise = null; });
+  }
+  // Serve the stale copy while a rebuild is running
+  return vocabulary || vocabularyPromise;
+}
+
+// Closest known word, preferring fewer edits and then more common words
+function correctToken(token, terms, { prefix = false } = {}) {
+  if (terms.has(token)) return token;
+  if (prefix && Array.from(terms.keys()).some(term => term.startsWith(token))) return token;
+
+  const max = allowedTypos(token);
+  if (max === 0) return token;
+
+  let best = null;
+  terms.forEach((weight, term) => {
+    // A partly typed word is compared with the start of each term
+    const candidates = prefix
+      ? [term.slice(0, token.length - 1), term.slice(0, token.length), term.slice(0, token.length + 1)]
+      : [term];
+    const distance = Math.min(...candidates.map(candidate => editDistance(token, candidate, max)));
+    if (distance > max) return;
+    if (!best || distance < best.distance || (distance === best.distance && weight > best.weight)) {
+      best = { term, distance, weight };
+    }
+  });
+  return best ? best.term : token;
+}
+
+// Corrects each word of a query; the last word is treated as unfinished when `prefix` is set
+function correctQuery(query, terms, { prefix = false } = {}) {
+  const tokens = tokenize(query);
+  const corrected = tokens.map((token, i) => correctToken(token, terms, { prefix: prefix && i === tokens.length - 1 }));
+  return { tokens, corrected, changed: corrected.some((token, i) => token !== tokens[i]) };
+}
+
+function matchesWordPrefix(text, tokens) {
+  const words = tokenize(text);
+  return tokens.every(token => words.some(word => word.startsWith(token)));
+}
+
+async function findProductsByWordPrefix(tokens, limit) {
+  if (tokens.length === 0) return [];
+  return Product.find({
+    isActive: true,
+    isApproved: 'approved',
+    $and: tokens.map(token => ({ name: { $regex: `(^|\\W)${escapeRegex(token)}`, $options: 'i' } })),
+  })
+    .sort({ totalSold: -1, rating: -1 })
+    .limit(limit)
+    .select('name slug price images')
+    .lean();
+}
+
+// Autocomplete for a partly typed query: popular past searches, products, brands and categories
+async function getSuggestions(rawQuery, { limit = 5 } = {}) {
+  const query = normalizeQuery(rawQuery);
+  const empty = { query, correctedQuery: null, queries: [], products: [], brands: [], categories: [] };
+  if (query.length < 2) return empty;
+
+  const { terms, brands, categories } = await getVocabulary();
+  const { tokens, corrected, changed } = correctQuery(query, terms, { prefix: true });
+
+  let products = await findProductsByWordPrefix(tokens, limit);
+  let matchTokens = tokens;
+  if (products.length === 0 && changed) {
+    products = await findProductsByWordPrefix(corrected, limit);
+    matchTokens = corrected;
+  }
+  const correctedQuery = matchTokens === corrected && changed ? corrected.join(' ') : null;
+
+  const popular = await SearchQuery.find({
+    query: { $regex: `^${escapeRegex(correctedQuery || query)}` },
+    resultCount: { $gt: 0 },
+  })
+    .sort({ count: -1 })
+    .limit(limit)
+    .select('query count')
+    .lean();
+
+  const brandMatches = brands
+    .filter(b => matchesWordPrefix(b.name, tokens) || (changed && matchesWordPrefix(b.name, corrected)))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 4);
+
+  const categoryMatches = categories
+    .filter(cat => matchesWordPrefix(cat.name, tokens) || (changed && matchesWordPrefix(cat.name, corrected)))
+    .slice(0, 4);
+
+  return {
+    query,
+    correctedQuery,
+    queries: popular.map(q => ({ query: q.query, count: q.count })),
+    products: products.map(p => ({
+      _id: p._id,
+      name: p.name,
+      slug: p.slug,
+      price: p.price,
+      image: p.images?.[0]?.url || '',
+    })),
+    brands: brandMatches.map(b => ({ name: b.name, count: b.count })),
+    categories: categoryMatches.map(cat => ({ name: cat.name, slug: cat.slug, icon: cat.icon })),
+  };
+}
+
+// "Did you mean" for a full search that found nothing; null when no better spelling is known
+async function getDidYouMean(rawQuery) {
+  const query = normalizeQuery(rawQuery);
+  if (!query) return null;
+  const { terms } = await getVocabulary();
+  const { corrected, changed } = correctQuery(query, terms);
+  return changed ? corrected.join(' ') : null;
+}
+
+// Fire-and-forget: called for the first page of every search
+function logSearch(rawQuery, resultCount) {
+  const query = normalizeQuery(rawQuery);
+  if (query.length < 2) return;
+  SearchQuery.updateOne(
+    { query },
+    { $inc: { count: 1 }, $set: { resultCount, lastSearchedAt: new Date() } },
+    { upsert: true }
+  ).catch(error => logger.error(`Search log failed: ${error.message}`));
+}
+
+module.exports = { getSuggestions, getDidYouMean, logSearch };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// ─── Drivers ──────────────────────────────────────────────
+// A driver is an object with `send(to, message)` returning a promise.
+// Production providers (MSG91, Twilio, ...) register themselves with
+// registerSmsDriver() and are picked with SMS_PROVIDER.
+
+const consoleDriver = {
+  async send(to, message) {
+    logger.info(`[SMS] to ${to}: ${message}`);
+  },
+};
+
+const fileDriver = {
+  async send(to, message) {
+    const filePath = process.env.SMS_FILE_PATH || path.join(__dirname, '..', 'temp', 'sms.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+  },
+};
+
+const drivers = {
+  console: consoleDriver,
+  file: fileDriver,
+};
+
+function registerSmsDriver(name, driver) {
+  if (!driver || typeof driver.send !== 'function') {
+    throw new Error(`SMS driver "${name}" must implement send(to, message)`);
+  }
+  drivers[name] = driver;
+}
+
+// Drivers that write codes to the log or disk, never to a phone
+const DEV_DRIVERS = ['console', 'file'];
+
+function getSmsDriver() {
+  const name = (process.env.SMS_PROVIDER || 'console').trim();
+  if (process.env.NODE_ENV === 'production' && DEV_DRIVERS.includes(name)) {
+    throw new Error(`SMS_PROVIDER "${name}" is for local development only; register a real provider`);
+  }
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+  return driver;
+}
+
+async function sendSms(to, message) {
+  try {
+    await getSmsDriver().send(to, message);
+    return true;
+  } catch (error) {
+    logger.error(`SMS send error: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = { sendSms, registerSmsDriver, DEV_DRIVERS };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Dealify';
+const TWO_FACTOR_CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const STEP_UP_EXPIRE = process.env.STEP_UP_EXPIRE || '5m';
+const BACKUP_CODE_COUNT = 10;
+
+// Accept the previous and next 30s step to tolerate clock drift on the phone
+authenticator.options = { window: 1 };
+
+const isTwoFactorRequired = (user) => {
+  if (user.twoFactorRequired) return true;
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean)
+    .includes(user.role);
+};
+
+function generateSecret() {
+  return authenticator.generateSecret();
+}
+
+// otpauth:// URL plus the same URL rendered as a QR code data URL
+async function buildEnrollment(user, secret) {
+  const otpauthUrl = authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+function isValidTotp(secret, code) {
+  return authenticator.check(String(code), secret);
+}
+
+function hashBackupCode(code) {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+}
+
+// Returns { codes, hashes } — show `codes` to the user once, store only `hashes`
+function generateBackupCodes() {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(4).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+  }
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+// Checks a TOTP or a backup code against an enrolled user.
+// Each TOTP step and each backup code is accepted once; both updates are atomic.
+// Returns { valid: true, method } or { valid: false }
+async function verifySecondFactor(userId, { code, backupCode } = {}) {
+  if (backupCode) {
+    const consumed = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true, twoFactorBackupCodes: hashBackupCode(backupCode) },
+      { $pull: { twoFactorBackupCodes: hashBackupCode(backupCode) } }
+    );
+    return consumed ? { valid: true, method: 'backup_code' } : { valid: false };
+  }
+
+  if (!code) return { valid: false };
+
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return { valid: false };
+
+  const delta = authenticator.checkDelta(String(code), user.twoFactorSecret);
+  if (delta === null) return { valid: false };
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  const accepted = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [
+        { twoFactorLastUsedStep: { $lt: step } },
+        { twoFactorLastUsedStep: { $exists: false } },
+      ],
+    },
+    { twoFactorLastUsedStep: step }
+  );
+  return accepted ? { valid: true, method: 'totp' } : { valid: false };
+}
+
+// Short-lived tokens carry a `purpose` so `protect` never accepts them as access tokens
+// `method` records how the first factor was passed (password / otp) for the login history
+function createLoginChallenge(user, method = 'password') {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, purpose: '2fa_login', method },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+  );
+}
+
+function createStepUpToken(user, method) {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, purpose: 'step_up', method },
+    process.env.JWT_SECRET,
+    { expiresIn: STEP_UP_EXPIRE }
+  );
+}
+
+// Returns the decoded payload, or null if the token is invalid, expired or for another purpose
+function verifyPurposeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  isValidTotp,
+  generateBackupCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  createStepUpToken,
+  verifyPurposeToken,
+};
@@ -21,8 +21,47 @@ const calcDiscount = (mrp, price) => {
   return Math.round(((mrp - price) / mrp) * 100);
 };
 
+// Turn a raw user-agent header into a short label like "Chrome on Windows"
+const describeUserAgent = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser';
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'unknown OS';
+  return `${browser} on ${platform}`;
+};
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text = '') => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape user input for use inside email HTML
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 module.exports = {
   formatPrice,
   generateOrderId,
   calcDiscount,
+  describeUserAgent,
+  escapeRegex,
+  escapeHtml,
 };
@@ -0,0 +1,30 @@
+// Rebuilds the product search index for the configured SEARCH_DRIVER from the database
+const dns = require('dns');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Use Google DNS (fixes local DNS issues with MongoDB Atlas)
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+
+const connectDB = require('../config/db');
+const { reindexProducts } = require('../services/searchService');
+
+const reindexSearch = async () => {
+  try {
+    await connectDB();
+    const driver = process.env.SEARCH_DRIVER || 'mongo';
+    console.log(`🔎 Reindexing products with the "${driver}" search driver...`);
+
+    const count = await reindexProducts();
+
+    console.log(`✅ Indexed ${count} searchable products`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reindex Error:', error.message);
+    process.exit(1);
+  }
+};
+
+reindexSearch();
@@ -1,4 +1,4 @@
-// Seed script to create default admin account
+// Seed script to create default admin account and staff roles
 const mongoose = require('mongoose');
 const dns = require('dns');
 const dotenv = require('dotenv');
@@ -10,11 +10,21 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 dns.setServers(['8.8.8.8', '8.8.4.4']);
 
 const User = require('../models/User');
+const StaffRole = require('../models/StaffRole');
 const connectDB = require('../config/db');
+const { DEFAULT_STAFF_ROLES } = require('../config/permissions');
+
+// Create the default staff roles once; existing roles are never overwritten
+const seedStaffRoles = async () => {
+  if (await StaffRole.exists({})) return;
+  await StaffRole.insertMany(DEFAULT_STAFF_ROLES);
+  console.log(`✅ Created ${DEFAULT_STAFF_ROLES.length} default staff roles`);
+};
 
 const seedAdmin = async () => {
   try {
     await connectDB();
+    await seedStaffRoles();
 
     // Check if admin already exists
     const existingAdmin = await User.findOne({ role: 'admin' });
@@ -33,6 +43,7 @@ const seedAdmin = async () => {
       password: 'admin123456',
       role: 'admin',
       isActive: true,
+      isEmailVerified: true,
     });
 
     console.log('✅ Admin account created successfully!');
@@ -0,0 +1,75 @@
+// URL slugs that stay valid after a rename. Documents keep the slugs they had before in
+// `previousSlugs`, and a slug is never handed to a second document while it is still in
+// use or in another document's history, so old links always lead to the right place.
+
+const slugify = (text = '') => String(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+// Saves that lost a race for a slug and retried with the next one, at most
+const SLUG_SAVE_ATTEMPTS = 5;
+
+// Matches a document by its current slug or one it had before
+const slugFilter = slug => ({ $or: [{ slug }, { previousSlugs: slug }] });
+
+// `base`, or `base-2`, `base-3`… — the first one no other document uses or used
+async function availableSlug(Model, base, excludeId) {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const taken = await Model.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  }).select('slug previousSlugs').lean();
+
+  const used = new Set(taken.flatMap(doc => [doc.slug, ...(doc.previousSlugs || [])]));
+  if (!used.has(base)) return base;
+  let n = 2;
+  while (used.has(`${base}-${n}`)) n += 1;
+  return `${base}-${n}`;
+}
+
+// Schema plugin: sets `slug` from `name` when the document is created or renamed.
+// `fallback` is used for names with no latin letters or digits.
+function slugHistory(schema, { fallback }) {
+  schema.add({
+    previousSlugs: {
+      type: [String],
+      default: [],
+    },
+  });
+  schema.index({ previousSlugs: 1 });
+
+  schema.pre('save', async function () {
+    if (this.slug && !this.isModified('name')) return;
+
+    const base = slugify(this.name) || fallback;
+    // Renames that don't change the slug ("Tshirt" → "T-shirt") keep the current one
+    if (this.slug && new RegExp(`^${base}(-\\d+)?$`).test(this.slug)) return;
+
+    const slug = await availableSlug(this.constructor, base, this._id);
+    const previous = this.slug ? [this.slug, ...this.previousSlugs] : this.previousSlugs;
+    // Renaming back to an earlier name takes that slug out of the history again
+    this.previousSlugs = [...new Set(previous)].filter(old => old !== slug);
+    this.slug = slug;
+  });
+}
+
+// Two documents created or renamed at the same moment can both find the same slug free,
+// and the unique index turns the second save away. Saves that can set a slug go through
+// this: on that conflict the slug is recomputed by the pre-save hook, which now sees the
+// winner's slug and picks the next suffix, and the save is tried again.
+async function saveWithFreeSlug(doc) {
+  const { slug } = doc;
+  const previousSlugs = [...(doc.previousSlugs || [])];
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await doc.save();
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.slug || attempt >= SLUG_SAVE_ATTEMPTS) throw error;
+      doc.slug = slug;
+      doc.previousSlugs = previousSlugs;
+    }
+  }
+}
+
+module.exports = { slugify, slugFilter, slugHistory, saveWithFreeSlug };
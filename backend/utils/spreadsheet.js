@@ -0,0 +1,113 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+
+const SPREADSHEET_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function detectFormat(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase().replace('.', '');
+  if (SPREADSHEET_FORMATS[ext]) return ext;
+  if (file.mimetype === SPREADSHEET_FORMATS.xlsx.contentType) return 'xlsx';
+  if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel') return 'csv';
+  return null;
+}
+
+// Undo the quote added by escapeCell so exported files import unchanged
+function unescapeCell(value) {
+  const text = String(value ?? '').trim();
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+function escapeCell(value) {
+  if (typeof value !== 'string') return value;
+  return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function xlsxCellText(cell) {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+  }
+  return String(value);
+}
+
+// Returns { headers, rows: [{ row, values }] } where row is the 1-based spreadsheet row and
+// values is keyed by header. Every value is a trimmed string; blank rows are skipped.
+async function readRows(buffer, format) {
+  let headers = [];
+  let records = [];
+
+  if (format === 'csv') {
+    const table = parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true });
+    headers = (table.shift() || []).map(h => String(h).trim());
+    records = table.map((cells, i) => ({ row: i + 2, cells }));
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    sheet.eachRow((sheetRow, rowNumber) => {
+      const cells = [];
+      sheetRow.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = xlsxCellText(cell); });
+      if (rowNumber === 1) headers = cells.map(h => String(h || '').trim());
+      else records.push({ row: rowNumber, cells });
+    });
+  }
+
+  const rows = records
+    .map(({ row, cells }) => {
+      const values = {};
+      headers.forEach((header, i) => { if (header) values[header] = unescapeCell(cells[i]); });
+      return { row, values };
+    })
+    .filter(({ values }) => Object.values(values).some(v => v !== ''));
+
+  return { headers, rows };
+}
+
+// columns: [{ key, header, width }]; rows: plain objects keyed by column key
+async function writeRows(columns, rows, format, sheetName = 'Sheet1') {
+  const cleanRows = rows.map((row) => {
+    const clean = {};
+    columns.forEach(({ key }) => { clean[key] = escapeCell(row[key] ?? ''); });
+    return clean;
+  });
+
+  if (format === 'csv') {
+    const csv = stringify(cleanRows, {
+      header: true,
+      columns: columns.map(({ key, header }) => ({ key, header: header || key })),
+    });
+    // BOM so Excel opens the file as UTF-8 (₹ and non-Latin product names)
+    return Buffer.from(`\ufeff${csv}`, 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header: header || key, width: width || 16 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.addRows(cleanRows);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function sendSpreadsheet(res, buffer, format, baseName) {
+  const { contentType, extension } = SPREADSHEET_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.${extension}"`);
+  res.send(buffer);
+}
+
+module.exports = { SPREADSHEET_FORMATS, detectFormat, readRows, writeRows, sendSpreadsheet };
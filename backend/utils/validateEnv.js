@@ -1,3 +1,6 @@
+const logger = require('./logger');
+const { DEV_DRIVERS } = require('../services/smsService');
+
 function hasValue(value) {
   return typeof value === 'string' && value.trim().length > 0;
 }
@@ -29,6 +32,12 @@ function validateProductionEnv() {
   if (missing.length > 0) {
     throw new Error(`Missing required production environment variables: ${missing.join(', ')}`);
   }
+
+  // The development SMS drivers would log OTP codes, so they refuse to send in production
+  const smsProvider = (process.env.SMS_PROVIDER || 'console').trim();
+  if (DEV_DRIVERS.includes(smsProvider)) {
+    logger.warn(`SMS_PROVIDER "${smsProvider}" is disabled in production: phone OTP codes will not be sent until a real provider is configured`);
+  }
 }
 
 module.exports = {
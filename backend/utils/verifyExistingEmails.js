@@ -0,0 +1,39 @@
+// One-off migration for the email verification rollout: accounts created before
+// verification existed read as unverified, which would lock existing buyers out of
+// checkout. Marks them verified. Every account registered since was sent a
+// verification link, so an unverified account that never had one predates the feature.
+const dns = require('dns');
+const dotenv = require('dotenv');
+const path = require('path');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Use Google DNS (fixes local DNS issues with MongoDB Atlas)
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const verifyExistingEmails = async () => {
+  try {
+    await connectDB();
+    console.log('📧 Marking accounts created before email verification as verified...');
+
+    const { modifiedCount } = await User.updateMany(
+      {
+        isEmailVerified: { $ne: true },
+        emailVerificationToken: { $exists: false },
+        emailVerificationExpire: { $exists: false },
+      },
+      { $set: { isEmailVerified: true } }
+    );
+
+    console.log(`✅ Marked ${modifiedCount} existing account(s) verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration Error:', error.message);
+    process.exit(1);
+  }
+};
+
+verifyExistingEmails();
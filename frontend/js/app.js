@@ -13,6 +13,19 @@ const API_BASE_URL =
   localStorage.getItem('dealify_api_base_url') ||
   (isLocalHost ? 'http://localhost:5000/api' : '/api');
 
+// Anonymous id for this browser, so "recently viewed" works before signing in.
+// The server moves its history onto the account at login.
+function getDeviceId() {
+  let deviceId = localStorage.getItem('dealify_device_id');
+  if (!deviceId) {
+    deviceId = window.crypto && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem('dealify_device_id', deviceId);
+  }
+  return deviceId;
+}
+
 let isRefreshingToken = false;
 let refreshPromise = null;
 
@@ -21,6 +34,9 @@ async function tryRefreshAccessToken() {
     return refreshPromise;
   }
 
+  // The refresh cookie belongs to the admin, never to the user being viewed as
+  if (getAuth()?.impersonation) return false;
+
   isRefreshingToken = true;
   refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
     method: 'POST',
@@ -68,6 +84,7 @@ async function apiCall(endpoint, methodOrOptions = {}, bodyArg) {
   const auth = getAuth();
   const buildHeaders = (currentAuth) => ({
     'Content-Type': 'application/json',
+    'X-Device-Id': getDeviceId(),
     ...(options.headers || {}),
     ...(currentAuth && currentAuth.token
       ? { Authorization: `Bearer ${currentAuth.token}` }
@@ -108,6 +125,10 @@ async function apiCall(endpoint, methodOrOptions = {}, bodyArg) {
     if (!response.ok) {
       // Handle 401 — token expired or invalid
       if (response.status === 401) {
+        if (getAuth()?.impersonation) {
+          exitImpersonation({ ended: true });
+          return null;
+        }
         clearAuth();
         showToast('Session expired. Please login again.', 'error');
         setTimeout(() => {
@@ -139,6 +160,7 @@ function saveAuth(data) {
     token: data.token,
     user: data.user || data.data?.user,
     seller: data.seller || data.data?.seller || null,
+    impersonation: data.impersonation || data.data?.impersonation || null,
   };
   localStorage.setItem('dealify_auth', JSON.stringify(authData));
 }
@@ -158,6 +180,11 @@ function clearAuth() {
 }
 
 async function logout() {
+  if (getAuth()?.impersonation) {
+    exitImpersonation();
+    return;
+  }
+
   try {
     await fetch(`${API_BASE_URL}/auth/logout`, {
       method: 'POST',
@@ -174,6 +201,52 @@ async function logout() {
   }, 800);
 }
 
+// ─── View as User (admin impersonation) ───────────────────
+// The admin's own auth is parked while viewing as the user and restored on exit
+function startImpersonation(data) {
+  localStorage.setItem('dealify_impersonator_auth', JSON.stringify(getAuth()));
+  saveAuth(data);
+  window.location.href = getDashboardUrl(data.user.role);
+}
+
+async function exitImpersonation({ ended = false } = {}) {
+  const auth = getAuth();
+  const sessionId = auth?.impersonation?.sessionId;
+  const adminAuth = localStorage.getItem('dealify_impersonator_auth');
+  localStorage.removeItem('dealify_impersonator_auth');
+
+  if (!adminAuth) {
+    clearAuth();
+    window.location.href = getAuthPagePath('login.html');
+    return;
+  }
+
+  localStorage.setItem('dealify_auth', adminAuth);
+  if (sessionId && !ended) {
+    await apiCall(`/admin/impersonations/${sessionId}/end`, 'POST');
+  }
+
+  showToast(ended ? 'View-as-user session has ended' : 'Stopped viewing as user', 'info');
+  setTimeout(() => {
+    window.location.href = getBasePath() + 'pages/admin/users.html';
+  }, 800);
+}
+
+function renderImpersonationBanner() {
+  const auth = getAuth();
+  if (!auth?.impersonation || document.getElementById('impersonationBanner')) return;
+
+  const banner = document.createElement('div');
+  banner.id = 'impersonationBanner';
+  banner.style.cssText =
+    'position:sticky;top:0;z-index:2000;display:flex;gap:12px;align-items:center;justify-content:center;flex-wrap:wrap;padding:8px 16px;background:#B91C1C;color:#fff;font-size:0.85rem;font-weight:600;';
+  banner.innerHTML = `
+    <span>👁️ Viewing as ${escapeHtml(auth.user.name)} (${escapeHtml(auth.user.email)}) — actions are recorded. Ends ${new Date(auth.impersonation.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}.</span>
+    <button onclick="exitImpersonation()" style="background:#fff;color:#B91C1C;border:none;border-radius:6px;padding:4px 12px;font-weight:700;cursor:pointer;">Exit</button>
+  `;
+  document.body.prepend(banner);
+}
+
 function isLoggedIn() {
   const auth = getAuth();
   return auth && auth.token && auth.user;
@@ -184,6 +257,7 @@ function getDashboardUrl(role) {
   const base = getBasePath();
   switch (role) {
     case 'admin':
+    case 'staff':
       return base + 'pages/admin/dashboard.html';
     case 'seller':
       return base + 'pages/seller/dashboard.html';
@@ -193,6 +267,21 @@ function getDashboardUrl(role) {
   }
 }
 
+// Admin panel permissions — admins have all of them, staff get their role's list
+function hasPermission(permission) {
+  const auth = getAuth();
+  if (!auth?.user) return false;
+  if (auth.user.role === 'admin') return true;
+  return (auth.user.permissions || []).includes(permission);
+}
+
+// Hide links and buttons marked with data-permission the user doesn't have
+function applyPermissionVisibility() {
+  document.querySelectorAll('[data-permission]').forEach((el) => {
+    if (!hasPermission(el.dataset.permission)) el.style.display = 'none';
+  });
+}
+
 // Determine relative base path from current page to frontend root
 function getBasePath() {
   const path = window.location.pathname;
@@ -339,11 +428,93 @@ function formatDate(dateStr) {
   });
 }
 
+// Listing fields tracked by product revisions (REVIEWED_FIELDS in the backend's productRevisionService)
+const REVISION_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  shortDescription: 'Short description',
+  brand: 'Brand',
+  category: 'Category',
+  tags: 'Tags',
+  images: 'Images',
+  specifications: 'Specifications',
+  price: 'Price',
+  mrp: 'MRP',
+  variants: 'Variant options',
+  skus: 'Variants',
+};
+
+function revisionFieldList(fields) {
+  return (fields || []).map(field => REVISION_FIELD_LABELS[field] || field).join(', ');
+}
+
+const MODERATION_ACTION_LABELS = {
+  submitted: '📝 Submitted',
+  approved: '✅ Approved',
+  rejected: '❌ Rejected',
+  resubmitted: '🔁 Resubmitted',
+};
+
+// Reasons and note of the last rejection of a product or seller application
+function rejectionSummaryHTML({ rejectionReasons = [], approvalNote = '' }) {
+  if (rejectionReasons.length === 0 && !approvalNote) return '';
+  return `
+    ${rejectionReasons.length ? `<ul class="rejection-reasons">${rejectionReasons.map(r => `<li>${escapeHtml(r.label)}</li>`).join('')}</ul>` : ''}
+    ${approvalNote ? `<p class="rejection-note"><strong>Note:</strong> ${escapeHtml(approvalNote)}</p>` : ''}`;
+}
+
+// Newest-first list of moderation events (GET …/moderation)
+function moderationTimelineHTML(events) {
+  if (!events || events.length === 0) return '<p class="moderation-empty">No moderation history yet</p>';
+  return `
+    <ul class="moderation-timeline">
+      ${events.map(e => `
+        <li class="moderation-event ${e.action}">
+          <div><strong>${MODERATION_ACTION_LABELS[e.action] || e.action}</strong>
+            <span class="moderation-meta">${formatDate(e.createdAt)}${e.actor ? ` · ${escapeHtml(e.actor.name)}` : ''}</span></div>
+          ${rejectionSummaryHTML({ rejectionReasons: e.reasons, approvalNote: e.note })}
+        </li>`).join('')}
+    </ul>`;
+}
+
 function truncate(str, len = 50) {
   if (!str) return '';
   return str.length > len ? str.substring(0, len) + '...' : str;
 }
 
+// For user-written text (questions, answers) that goes into innerHTML
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[ch]));
+}
+
+// "2d 04:05:06" / "04:05:06"
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const clock = [Math.floor(total / 3600) % 24, Math.floor(total / 60) % 60, total % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+// Elements with data-countdown="<ISO time>" tick down to that time every second and then show
+// data-countdown-done. Pass the API's serverTime so a wrong device clock doesn't skew deals.
+let countdownOffset = 0;
+let countdownTimer = null;
+function startCountdowns(serverTime) {
+  if (serverTime) countdownOffset = new Date(serverTime).getTime() - Date.now();
+  const tick = () => {
+    document.querySelectorAll('[data-countdown]').forEach((el) => {
+      const left = new Date(el.dataset.countdown).getTime() - (Date.now() + countdownOffset);
+      el.textContent = left > 0 ? formatCountdown(left) : (el.dataset.countdownDone || 'Ended');
+    });
+  };
+  tick();
+  if (!countdownTimer) countdownTimer = setInterval(tick, 1000);
+}
+
 function debounce(func, wait = 300) {
   let timeout;
   return function executedFunction(...args) {
@@ -352,6 +523,200 @@ function debounce(func, wait = 300) {
   };
 }
 
+function downloadJsonFile(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Downloads a file from an authenticated endpoint (CSV/XLSX exports etc.)
+async function downloadFile(endpoint, fallbackName = 'download') {
+  const request = () => fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: getAuth()?.token ? { Authorization: `Bearer ${getAuth().token}` } : {},
+    credentials: 'include',
+  });
+
+  try {
+    let response = await request();
+    if (response.status === 401 && await tryRefreshAccessToken()) {
+      response = await request();
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      showToast((data && data.message) || 'Download failed', 'error');
+      return false;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^"]+)"?/);
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return true;
+  } catch (error) {
+    console.error('Download Error:', error);
+    showToast('Network error. Please check your connection.', 'error');
+    return false;
+  }
+}
+
+// ─── Search Suggestions ───────────────────────────────────
+// Dropdown of popular searches, products, brands and categories under a search box.
+// Handlers default to navigating to the shop; pages can override them to filter in place.
+function attachSearchSuggest(input, handlers = {}) {
+  if (!input || input.dataset.suggest) return;
+  input.dataset.suggest = 'on';
+  input.setAttribute('autocomplete', 'off');
+
+  const base = getBasePath();
+  const goToShop = (param, value) => {
+    window.location.href = `${base}shop.html?${param}=${encodeURIComponent(value)}`;
+  };
+  const actions = {
+    search: handlers.onSearch || (text => goToShop('search', text)),
+    brand: handlers.onBrand || (name => goToShop('brand', name)),
+    category: handlers.onCategory || (slug => goToShop('category', slug)),
+    product: (slug) => {
+      sessionStorage.setItem('dealify:lastProductSlug', slug);
+      window.location.href = `${base}pages/product.html#slug=${encodeURIComponent(slug)}`;
+    },
+  };
+
+  const box = document.createElement('div');
+  box.className = 'search-suggest';
+  box.hidden = true;
+  input.parentElement.appendChild(box);
+
+  let items = [];
+  let activeIndex = -1;
+  let lastQuery = '';
+
+  const close = () => {
+    box.hidden = true;
+    activeIndex = -1;
+  };
+
+  const choose = (item) => {
+    close();
+    if (item.type === 'search') input.value = item.value;
+    actions[item.type](item.value);
+  };
+
+  const setActive = (index) => {
+    const rows = box.querySelectorAll('.search-suggest-item');
+    rows.forEach(row => row.classList.remove('active'));
+    activeIndex = index;
+    if (rows[index]) rows[index].classList.add('active');
+  };
+
+  const render = (data) => {
+    items = [];
+    box.innerHTML = '';
+
+    const addSection = (title, entries) => {
+      if (!entries.length) return;
+      const heading = document.createElement('div');
+      heading.className = 'search-suggest-heading';
+      heading.textContent = title;
+      box.appendChild(heading);
+
+      entries.forEach((entry) => {
+        const index = items.length;
+        items.push(entry);
+        const row = document.createElement('div');
+        row.className = 'search-suggest-item';
+        if (entry.image) {
+          const img = document.createElement('img');
+          img.src = entry.image;
+          img.alt = '';
+          row.appendChild(img);
+        }
+        const label = document.createElement('span');
+        label.className = 'search-suggest-label';
+        label.textContent = entry.label;
+        row.appendChild(label);
+        if (entry.meta) {
+          const meta = document.createElement('span');
+          meta.className = 'search-suggest-meta';
+          meta.textContent = entry.meta;
+          row.appendChild(meta);
+        }
+        // mousedown fires before the input's blur closes the dropdown
+        row.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          choose(entry);
+        });
+        row.addEventListener('mouseenter', () => setActive(index));
+        box.appendChild(row);
+      });
+    };
+
+    if (data.correctedQuery) {
+      addSection('Did you mean', [{ type: 'search', value: data.correctedQuery, label: data.correctedQuery }]);
+    }
+    addSection('Popular searches', data.queries.map(q => ({ type: 'search', value: q.query, label: q.query })));
+    addSection('Products', data.products.map(p => ({
+      type: 'product', value: p.slug, label: p.name, image: p.image, meta: formatPrice(p.price),
+    })));
+    addSection('Brands', data.brands.map(b => ({ type: 'brand', value: b.name, label: b.name, meta: `${b.count} items` })));
+    addSection('Categories', data.categories.map(c => ({
+      type: 'category', value: c.slug, label: `${c.icon || ''} ${c.name}`.trim(),
+    })));
+
+    activeIndex = -1;
+    box.hidden = items.length === 0;
+  };
+
+  const fetchSuggestions = debounce(async () => {
+    const q = input.value.trim();
+    if (q.length < 2) {
+      close();
+      return;
+    }
+    lastQuery = q;
+    const res = await apiCall(`/products/suggest?q=${encodeURIComponent(q)}`);
+    // Ignore answers for text the user has since changed
+    if (!res || !res.data || input.value.trim() !== lastQuery) return;
+    render(res.data);
+  }, 250);
+
+  input.addEventListener('input', fetchSuggestions);
+  input.addEventListener('blur', close);
+  input.addEventListener('focus', () => {
+    if (items.length && input.value.trim() === lastQuery) box.hidden = false;
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (box.hidden || !items.length) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((activeIndex + step + items.length) % items.length);
+    } else if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (!box.hidden && items[activeIndex]) {
+        choose(items[activeIndex]);
+      } else if (input.value.trim() || handlers.onSearch) {
+        // An empty search only means something to pages that filter in place (it clears the search)
+        close();
+        actions.search(input.value.trim());
+      }
+    }
+  });
+}
+
 // ─── Loading State ────────────────────────────────────────
 function setLoading(btn, loading = true) {
   if (!btn) return;
@@ -370,6 +735,8 @@ function setLoading(btn, loading = true) {
 // ─── Initialize on DOM Ready (for landing/shared pages) ──
 document.addEventListener('DOMContentLoaded', () => {
   checkAuthState();
+  applyPermissionVisibility();
+  renderImpersonationBanner();
 
   // User dropdown toggle (landing page navbar)
   const dropdownBtn = document.getElementById('userDropdownBtn');